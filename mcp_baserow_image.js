@@ -4,33 +4,423 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema
 } from "@modelcontextprotocol/sdk/types.js";
+import { createHash, randomUUID } from 'crypto';
+import { mkdirSync, readdirSync, readFileSync, realpathSync, renameSync, statSync, writeFileSync } from 'fs';
+import { open, rename, rm } from 'fs/promises';
+import { basename, delimiter, dirname, extname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { Agent } from 'undici';
 import { z } from "zod";
 import { zodToJsonSchema } from "zod-to-json-schema";
 
+// How an uploaded file is combined with the files already stored in the target field
+const ATTACH_MODES = ['replace', 'append', 'prepend', 'replace_by_name'];
+
+// What manage_file_field can do with the files of a file field
+const FILE_FIELD_ACTIONS = ['list', 'remove', 'reorder', 'rename'];
+
+// Formats images can be converted to before uploading
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Table and row IDs are put into API paths, so only plain numbers are accepted
+const IdSchema = z.string().regex(/^\d+$/, 'Expected a numeric ID');
+
+const CreateRowSchema = z.boolean().describe('Create a new row in tableId containing the uploaded file instead of updating rowId (requires tableId and fieldName, rowId must be omitted)');
+
+const RowValuesSchema = z.record(z.any()).describe('Extra values for the created row, keyed by field name or field ID (only used with createRow)');
+
+const RowMatchSchema = z.object({
+  field: z.string().optional().describe('Field name or ID to match on (default: the table\'s primary field)'),
+  value: z.union([z.string(), z.number()]).describe('Value the field must equal'),
+  createIfMissing: z.boolean().optional().describe('Create a row with this value when no row matches (default: false)')
+}).describe('Find the row to update by a field value instead of rowId, e.g. { value: \'Blue Mug\' } matches on the primary field. Fails when zero (unless createIfMissing) or several rows match.');
+
+const AttachModeSchema = z.enum(ATTACH_MODES).describe('How to combine the uploaded file with files already in the field: \'replace\' (default) overwrites the field, \'append\'/\'prepend\' add it after/before the existing files, \'replace_by_name\' swaps out existing files with the same name and keeps the rest. Fields that only accept a single file can\'t be appended or prepended to.');
+
+const ProfileSchema = z.string().describe('Name of the Baserow profile (instance) to use, as defined in BASEROW_PROFILES_FILE (default: the default profile)');
+
+const FetchModeSchema = z.enum(['baserow', 'local']).describe('How URLs are fetched: \'baserow\' lets Baserow download the URL, \'local\' downloads it on this server (with size and content type limits) and uploads the content, which also works when Baserow can\'t reach the host (default: BASEROW_URL_FETCH_MODE or \'baserow\')');
+
+const ForceSchema = z.boolean().describe('Replace file fields that already hold files when the safety policy asks for confirmation before overwriting (default: false)');
+
+const ImageProcessingSchema = z.object({
+  maxWidth: z.number().int().min(1).max(16384).optional().describe('Largest width in pixels; wider images are scaled down, keeping their aspect ratio'),
+  maxHeight: z.number().int().min(1).max(16384).optional().describe('Largest height in pixels; taller images are scaled down, keeping their aspect ratio'),
+  format: z.enum(IMAGE_FORMATS).optional().describe('Convert the image to this format, e.g. \'webp\' for a PNG; the file name gets the matching extension (default: keep the format)'),
+  quality: z.number().int().min(1).max(100).optional().describe('Quality of JPEG and WebP output, 1-100 (default: 80)'),
+  stripMetadata: z.boolean().optional().describe('Remove EXIF (including GPS location), XMP and IPTC metadata; the EXIF orientation is applied first (default: true)')
+}).describe('Process images on this server before uploading them: resize, convert and strip metadata. Pass {} to only strip metadata. The result reports the size before and after. Needs the optional sharp package');
+
+const DedupeSchema = z.boolean().describe('Reuse an earlier upload of identical content (by SHA-256) from the upload index in BASEROW_UPLOAD_INDEX_FILE instead of uploading it again; URLs are only checked in fetchMode \'local\' (default: true when BASEROW_UPLOAD_INDEX_FILE is set)');
+
+const VisibleNameSchema = z.string().min(1).describe('Name shown for the file in the row\'s file field, instead of Baserow\'s hashed file name (default: filename, or the name of the uploaded file)');
+
+const DryRunSchema = z.boolean().describe('Resolve the field and row and validate the upload, but don\'t upload or write anything; returns the requests that would be sent, with the current and new value of the file field (default: false)');
+
 // Schema for tool arguments
 const UploadImageArgsSchema = z.object({
   url: z.string().url().describe("The URL of the image to upload"),
   filename: z.string().optional().describe("Optional filename for the uploaded image"),
-  tableId: z.string().optional().describe("Optional Baserow table ID to update a row"),
-  rowId: z.string().optional().describe("Optional row ID to update (requires tableId)"),
-  fieldName: z.string().optional().describe("Optional field name, field ID, or field_ID format to update with the uploaded image (requires tableId and rowId)")
+  visibleName: VisibleNameSchema.optional(),
+  tableId: IdSchema.optional().describe('Optional Baserow table ID to update a row'),
+  rowId: IdSchema.optional().describe('Optional row ID to update (requires tableId, or use rowMatch)'),
+  fieldName: z.string().optional().describe('Optional field name, field ID, or field_ID format to update with the uploaded image (requires tableId and rowId)'),
+  attachMode: AttachModeSchema.optional(),
+  createRow: CreateRowSchema.optional(),
+  rowValues: RowValuesSchema.optional(),
+  rowMatch: RowMatchSchema.optional(),
+  fetchMode: FetchModeSchema.optional(),
+  imageProcessing: ImageProcessingSchema.optional(),
+  dedupe: DedupeSchema.optional(),
+  dryRun: DryRunSchema.optional(),
+  force: ForceSchema.optional(),
+  profile: ProfileSchema.optional()
 });
 
 // Schema for file upload arguments
 const UploadFileArgsSchema = z.object({
-  filePath: z.string().describe("The local file path to upload (must exist on the local filesystem where the MCP server is running)"),
+  filePath: z.string().describe('The local file path to upload (must exist on the local filesystem where the MCP server is running, inside BASEROW_FILE_ROOTS when set; hidden files are refused)'),
   filename: z.string().optional().describe("Optional filename for the uploaded file"),
-  tableId: z.string().optional().describe("Optional Baserow table ID to update a row"),
-  rowId: z.string().optional().describe("Optional row ID to update (requires tableId)"),
-  fieldName: z.string().optional().describe("Optional field name, field ID, or field_ID format to update with the uploaded file (requires tableId and rowId)")
+  visibleName: VisibleNameSchema.optional(),
+  tableId: IdSchema.optional().describe('Optional Baserow table ID to update a row'),
+  rowId: IdSchema.optional().describe('Optional row ID to update (requires tableId, or use rowMatch)'),
+  fieldName: z.string().optional().describe('Optional field name, field ID, or field_ID format to update with the uploaded file (requires tableId and rowId)'),
+  attachMode: AttachModeSchema.optional(),
+  createRow: CreateRowSchema.optional(),
+  rowValues: RowValuesSchema.optional(),
+  rowMatch: RowMatchSchema.optional(),
+  imageProcessing: ImageProcessingSchema.optional(),
+  dedupe: DedupeSchema.optional(),
+  dryRun: DryRunSchema.optional(),
+  force: ForceSchema.optional(),
+  profile: ProfileSchema.optional()
+});
+
+// Schema for inline content upload arguments
+const UploadContentArgsSchema = z.object({
+  content: z.string().min(1).describe('The file content as base64, or as a data: URI such as data:image/png;base64,iVBORw0...'),
+  filename: z.string().min(1).describe('Filename for the uploaded file, including its extension'),
+  visibleName: VisibleNameSchema.optional(),
+  mimeType: z.string().optional().describe('Content type of the file (default: the data URI\'s type, or guessed from the filename)'),
+  tableId: IdSchema.optional().describe('Optional Baserow table ID to update a row'),
+  rowId: IdSchema.optional().describe('Optional row ID to update (requires tableId, or use rowMatch)'),
+  fieldName: z.string().optional().describe('Optional field name, field ID, or field_ID format to update with the uploaded file (requires tableId and rowId)'),
+  attachMode: AttachModeSchema.optional(),
+  createRow: CreateRowSchema.optional(),
+  rowValues: RowValuesSchema.optional(),
+  rowMatch: RowMatchSchema.optional(),
+  dedupe: DedupeSchema.optional(),
+  dryRun: DryRunSchema.optional(),
+  force: ForceSchema.optional(),
+  profile: ProfileSchema.optional()
+});
+
+// Schema for a single batch upload item
+const BatchItemSchema = z.object({
+  url: z.string().url().optional().describe('URL of the file to upload (use either url or filePath)'),
+  filePath: z.string().optional().describe('Local file path to upload (use either url or filePath)'),
+  filename: z.string().optional().describe('Optional filename for the uploaded file'),
+  visibleName: VisibleNameSchema.optional(),
+  tableId: IdSchema.optional().describe('Optional Baserow table ID (overrides the batch default)'),
+  rowId: IdSchema.optional().describe('Optional row ID to update with this file'),
+  fieldName: z.string().optional().describe('Optional field name or ID (overrides the batch default)'),
+  attachMode: AttachModeSchema.optional(),
+  createRow: CreateRowSchema.optional(),
+  rowValues: RowValuesSchema.optional(),
+  rowMatch: RowMatchSchema.optional()
+}).refine(item => Boolean(item.url) !== Boolean(item.filePath), {
+  message: 'Each item needs exactly one of url or filePath'
+});
+
+// Schema for batch uploads
+const UploadBatchArgsSchema = z.object({
+  items: z.array(BatchItemSchema).min(1).max(500).describe('Files to upload, each with either a url or a filePath'),
+  tableId: IdSchema.optional().describe('Default table ID for items that don\'t set one'),
+  fieldName: z.string().optional().describe('Default field name or ID for items that don\'t set one'),
+  attachMode: AttachModeSchema.optional(),
+  concurrency: z.number().int().min(1).max(10).optional().describe('Maximum number of uploads running at the same time (default: 4)'),
+  fetchMode: FetchModeSchema.optional(),
+  imageProcessing: ImageProcessingSchema.optional().describe('Process every image before uploading it: resize, convert and strip metadata, see upload_file. URL items need fetchMode \'local\''),
+  dedupe: DedupeSchema.optional(),
+  dryRun: DryRunSchema.optional(),
+  force: ForceSchema.optional(),
+  profile: ProfileSchema.optional()
+});
+
+// Schema for uploading the files of a local directory
+const UploadDirectoryArgsSchema = z.object({
+  directory: z.string().describe('Local directory to upload files from (must be inside BASEROW_FILE_ROOTS when set)'),
+  include: z.array(z.string()).optional().describe('Glob patterns of the files to upload, relative to the directory, e.g. [\'*.jpg\', \'photos/**/*.{png,webp}\']. `*` and `?` stay within a directory, `**` spans directories, patterns without a / match the file name at any depth; matching ignores case (default: every file)'),
+  exclude: z.array(z.string()).optional().describe('Glob patterns of files to leave out, e.g. [\'*_draft.*\']'),
+  tableId: IdSchema.describe('Baserow table ID whose rows the files are attached to'),
+  fieldName: z.string().describe('File field name or ID the files are attached to'),
+  matchField: z.string().optional().describe('Field name or ID whose value identifies each file\'s row (default: the table\'s primary field)'),
+  matchBy: z.enum(['stem', 'filename']).optional().describe('Part of each file name matched against matchField: \'stem\' is the name without extension (SKU-123.jpg → SKU-123), \'filename\' the full name (default: \'stem\')'),
+  valuePattern: z.string().optional().describe('Regular expression applied to the stem or file name; its first capture group (or the whole match) is the value to match, e.g. \'^([^_]+)\' maps SKU-123_front.jpg to SKU-123. Files that don\'t match are skipped'),
+  manifest: z.string().optional().describe('CSV file mapping files to rows instead of their names (absolute or relative to the directory). Its header row names a \'file\' column (path relative to the directory, or file name) and a \'rowId\' or \'value\' column (value of matchField)'),
+  createIfMissing: z.boolean().optional().describe('Create a row holding the value when no row matches a file (default: false, the file fails)'),
+  attachMode: AttachModeSchema.optional(),
+  concurrency: z.number().int().min(1).max(10).optional().describe('Maximum number of uploads running at the same time (default: 4)'),
+  imageProcessing: ImageProcessingSchema.optional().describe('Process every image before uploading it: resize, convert and strip metadata, see upload_file'),
+  dedupe: DedupeSchema.optional(),
+  dryRun: z.boolean().optional().describe('Only report which file would be attached to which row, and the requests that would be sent for it, without uploading anything (default: false)'),
+  force: ForceSchema.optional(),
+  profile: ProfileSchema.optional()
+});
+
+// Schema for downloading the files of a file field to local disk
+const DownloadFilesArgsSchema = z.object({
+  tableId: IdSchema.describe('Baserow table ID'),
+  rowIds: z.array(IdSchema).min(1).max(500).describe('IDs of the rows whose files are downloaded'),
+  fieldName: z.string().describe('File field name or ID to download the files of'),
+  directory: z.string().describe('Existing local directory the files are written to (must be inside BASEROW_FILE_ROOTS when set)'),
+  naming: z.enum(['visible_name', 'name']).optional().describe('Name local files by the name shown in Baserow (\'visible_name\', default) or by Baserow\'s unique stored file name (\'name\')'),
+  groupByRow: z.boolean().optional().describe('Write the files of each row into a subdirectory named after the row ID (default: false)'),
+  overwrite: z.boolean().optional().describe('Replace existing local files with the same name instead of numbering the new file, e.g. \'invoice (2).pdf\' (default: false)'),
+  concurrency: z.number().int().min(1).max(10).optional().describe('Maximum number of downloads running at the same time (default: 4)'),
+  profile: ProfileSchema.optional()
+});
+
+// A file of a file field, by 0-based position or by its name or visible_name
+const FileSelectorSchema = z.union([z.number().int().min(0), z.string()]);
+
+// Schema for listing, removing, reordering and renaming the files of a file field
+const ManageFileFieldArgsSchema = z.object({
+  tableId: IdSchema.describe('Baserow table ID'),
+  rowId: IdSchema.describe('Row ID whose file field is managed'),
+  fieldName: z.string().describe('File field name or ID'),
+  action: z.enum(FILE_FIELD_ACTIONS).optional().describe('\'list\' returns the files of the field, \'remove\' detaches the given files, \'reorder\' moves the given files to the front in the given order (the others follow in their current order), \'rename\' changes the visible_name of one file (default: \'list\')'),
+  files: z.array(FileSelectorSchema).optional().describe('Files to act on, each by 0-based position (a number) or by Baserow\'s unique stored name or its visible_name (a string). Required for every action except \'list\'; \'rename\' takes exactly one'),
+  visibleName: z.string().min(1).optional().describe('New visible name of the file, for \'rename\''),
+  force: z.boolean().optional().describe('Remove files when the safety policy asks for confirmation before overwriting (default: false)'),
+  profile: ProfileSchema.optional()
 });
 
+// IDs or name patterns restricting which workspaces, databases or tables are read
+const ScopeFilterSchema = z.array(z.union([z.string(), z.number()]));
+
 // Schema for reading Baserow structure
 const ReadBaserowStructureArgsSchema = z.object({
   includeRows: z.boolean().optional().describe("Whether to include sample rows data (default: false)"),
-  maxRows: z.number().optional().describe("Maximum number of rows to fetch per table (default: 5)")
+  maxRows: z.number().optional().describe('Maximum number of rows to fetch per table (default: 5)'),
+  refresh: z.boolean().optional().describe('Ignore cached workspace, table and field metadata and re-read it from Baserow (default: false)'),
+  workspaces: ScopeFilterSchema.optional().describe('Only read these workspaces, by ID or name pattern (`*` wildcard, case-insensitive)'),
+  applications: ScopeFilterSchema.optional().describe('Only read these databases, by ID or name pattern'),
+  tables: ScopeFilterSchema.optional().describe('Only read these tables, by ID or name pattern'),
+  fieldTypes: z.array(z.string()).optional().describe('Only return fields of these types, e.g. [\'file\'] when planning uploads'),
+  tableIds: ScopeFilterSchema.optional().describe('Read only these table IDs from their field lists, without listing workspaces. Needed for database tokens, which can\'t list workspaces (default: the profile\'s tableIds or BASEROW_TABLE_IDS)'),
+  profile: ProfileSchema.optional().describe('Only read this Baserow profile (default: every configured profile, each workspace labelled with its profile)')
+});
+
+// Schemas for the structuredContent returned by each tool
+const UploadedFileSchema = z.object({
+  name: z.string().describe('Baserow\'s internal file name, used to reference the file'),
+  url: z.string().optional().describe('URL the file can be downloaded from, not set for reused uploads'),
+  original_name: z.string().optional(),
+  visible_name: z.string().optional(),
+  size: z.number().optional(),
+  mime_type: z.string().optional(),
+  is_image: z.boolean().optional(),
+  image_width: z.number().nullable().optional(),
+  image_height: z.number().nullable().optional(),
+  uploaded_at: z.string().optional()
+}).passthrough().describe('The uploaded file as returned by Baserow');
+
+const RowSchema = z.object({
+  id: z.number().optional()
+}).passthrough().describe('The row as returned by Baserow, with values keyed by field_<id>');
+
+const ValidationErrorSchema = z.object({
+  code: z.string().describe('Machine-readable reason, e.g. field_not_file, file_type_not_allowed'),
+  message: z.string()
+}).passthrough().describe('Why the upload was refused before sending anything to Baserow');
+
+const PlannedRequestsSchema = z.object({
+  upload: z.object({
+    method: z.string(),
+    endpoint: z.string(),
+    payload: z.record(z.any()).describe('JSON body, or a description of the multipart file for file uploads')
+  }).describe('The upload request'),
+  row: z.object({
+    method: z.string().describe('PATCH to update an existing row, POST to create one'),
+    endpoint: z.string(),
+    rowId: z.string().optional(),
+    field: z.string().describe('Name of the file field'),
+    current: z.array(z.record(z.any())).describe('Files the field holds now'),
+    new: z.array(z.record(z.any())).describe('Files the field would hold; Baserow only names the uploaded file when it is uploaded'),
+    payload: z.record(z.any())
+  }).optional().describe('The row update or creation that follows the upload')
+}).describe('Requests a dry run would have sent');
+
+const ImageProcessingReportSchema = z.object({
+  before: z.object({ format: z.string(), width: z.number(), height: z.number(), size: z.number().describe('Size in bytes') }),
+  after: z.object({ format: z.string(), width: z.number(), height: z.number(), size: z.number().describe('Size in bytes') }),
+  metadataStripped: z.boolean()
+}).describe('The image before and after processing, set when imageProcessing was used');
+
+const UploadResultSchema = z.object({
+  success: z.boolean(),
+  uploaded_file: UploadedFileSchema.optional(),
+  updated_row: RowSchema.optional(),
+  created_row: RowSchema.optional(),
+  unchanged_row: RowSchema.optional().describe('Set instead of updated_row when the field already held the file, so the row wasn\'t written'),
+  row_update_error: z.string().optional().describe('Set when the file was uploaded but writing it to the row failed'),
+  reused_upload: z.boolean().optional().describe('Set when identical content was uploaded before, so the earlier upload was reused instead of uploading again'),
+  validation_error: ValidationErrorSchema.optional(),
+  dry_run: z.boolean().optional().describe('Set for dry runs, which upload and write nothing'),
+  plan: PlannedRequestsSchema.optional(),
+  image_processing: ImageProcessingReportSchema.optional()
+});
+
+const UploadBatchResultSchema = z.object({
+  success: z.boolean().describe('True when every item was uploaded and every row update succeeded'),
+  results: z.array(z.object({
+    index: z.number().describe('Position of the item in the request'),
+    source: z.string().describe('The item\'s url or filePath'),
+    status: z.enum(['uploaded', 'row_update_failed', 'failed', 'planned']).describe('\'planned\' for items of dry runs that would be uploaded'),
+    tableId: z.string().optional(),
+    rowId: z.string().optional(),
+    fieldName: z.string().optional(),
+    uploaded_file: UploadedFileSchema.optional(),
+    updated_row: RowSchema.optional(),
+    created_row: RowSchema.optional(),
+    unchanged_row: RowSchema.optional(),
+    row_update_error: z.string().optional(),
+    reused_upload: z.boolean().optional(),
+    error: z.string().optional(),
+    validation_error: ValidationErrorSchema.optional(),
+    plan: PlannedRequestsSchema.optional(),
+    image_processing: ImageProcessingReportSchema.optional()
+  })),
+  summary: z.object({
+    total: z.number(),
+    succeeded: z.number(),
+    failed: z.number(),
+    rowUpdated: z.number(),
+    rowCreated: z.number(),
+    rowUpdateErrors: z.number()
+  }),
+  message: z.string()
+});
+
+const UploadDirectoryResultSchema = z.object({
+  success: z.boolean().describe('True when every planned file was uploaded (or, for dry runs, can be attached to a row)'),
+  directory: z.string().optional().describe('Real path of the uploaded directory'),
+  dryRun: z.boolean().optional(),
+  planned: z.array(z.object({
+    file: z.string().describe('Path of the file relative to the directory'),
+    value: z.string().optional().describe('Value matched against matchField'),
+    rowId: z.string().optional(),
+    action: z.enum(['update_row', 'create_row', 'skip']),
+    error: z.string().optional(),
+    validation_error: ValidationErrorSchema.optional(),
+    plan: PlannedRequestsSchema.optional(),
+    image_processing: ImageProcessingReportSchema.optional()
+  })).optional().describe('Planned mapping of each file to a row (dry runs only)'),
+  results: UploadBatchResultSchema.shape.results.optional(),
+  summary: UploadBatchResultSchema.shape.summary.optional(),
+  skipped: z.array(z.object({
+    file: z.string(),
+    reason: z.string()
+  })).optional().describe('Files left out because no row value could be taken from them, and manifest entries without a file'),
+  message: z.string().optional(),
+  validation_error: ValidationErrorSchema.optional()
+});
+
+const DownloadFilesResultSchema = z.object({
+  success: z.boolean().describe('True when every row was read and every file was written'),
+  directory: z.string().optional().describe('Real path of the directory the files were written to'),
+  files: z.array(z.object({
+    rowId: z.string(),
+    name: z.string().describe('Baserow\'s unique stored file name'),
+    visible_name: z.string().optional(),
+    path: z.string().describe('Local path the file was written to'),
+    size: z.number(),
+    sha256: z.string().describe('SHA-256 checksum of the written file, hex encoded')
+  })).optional(),
+  errors: z.array(z.object({
+    rowId: z.string(),
+    name: z.string().optional().describe('The file that failed, or unset when the row couldn\'t be read'),
+    error: z.string()
+  })).optional(),
+  message: z.string().optional(),
+  validation_error: ValidationErrorSchema.optional()
+});
+
+const StoredFileSchema = z.object({
+  name: z.string().describe('Baserow\'s unique stored file name'),
+  visible_name: z.string().optional()
+}).passthrough().describe('A file as stored in a file field');
+
+const ManageFileFieldResultSchema = z.object({
+  success: z.boolean(),
+  rowId: z.string().optional(),
+  field: z.string().optional().describe('Name of the file field'),
+  files: z.array(StoredFileSchema).optional().describe('Files the field holds now, in order'),
+  previous_files: z.array(StoredFileSchema).optional().describe('Files the field held before the change'),
+  updated_row: RowSchema.optional(),
+  row_update_error: z.string().optional().describe('Set when the row couldn\'t be written, so the field is unchanged'),
+  message: z.string().optional(),
+  validation_error: ValidationErrorSchema.optional()
+});
+
+const StructureFieldSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  type: z.string(),
+  primary: z.boolean(),
+  order: z.number().optional(),
+  description: z.string().nullable(),
+  fileTypes: z.string().nullable().optional(),
+  multipleFiles: z.boolean().optional(),
+  selectOptions: z.array(z.record(z.any())).optional(),
+  linkRowTable: z.any().optional(),
+  linkRowTableId: z.number().nullable().optional()
+});
+
+const StructureTableSchema = z.object({
+  profile: z.string().optional().describe('Profile the table was read from (tables read by ID only)'),
+  id: z.number(),
+  name: z.string(),
+  order: z.number().optional(),
+  fields: z.array(StructureFieldSchema),
+  rowCount: z.number(),
+  sampleRows: z.array(RowSchema)
+});
+
+const BaserowStructureResultSchema = z.object({
+  success: z.boolean(),
+  structure: z.object({
+    profiles: z.array(z.object({
+      name: z.string(),
+      apiUrl: z.string()
+    })).describe('The Baserow instances that were read'),
+    workspaces: z.array(z.object({
+      profile: z.string().describe('Profile (Baserow instance) the workspace came from'),
+      id: z.number(),
+      name: z.string(),
+      applications: z.array(z.object({
+        id: z.number(),
+        name: z.string(),
+        type: z.string(),
+        tables: z.array(StructureTableSchema)
+      }))
+    })),
+    tables: z.array(StructureTableSchema).optional().describe('The tables read by ID (tableIds or BASEROW_TABLE_IDS), without workspace information'),
+    summary: z.object({
+      totalWorkspaces: z.number(),
+      totalApplications: z.number(),
+      totalTables: z.number(),
+      totalFields: z.number()
+    })
+  }),
+  message: z.string()
 });
 
 /**
@@ -40,87 +430,150 @@ const ReadBaserowStructureArgsSchema = z.object({
  * @param {string} tableId - Optional Baserow table ID
  * @param {string} rowId - Optional row ID
  * @param {string} fieldName - Optional field name
- * @returns {Promise<Object>} Upload result
+ * @param {Object} options - Optional settings
+ * @param {string} options.attachMode - How to combine the upload with existing files (default: 'replace')
+ * @param {boolean} options.createRow - Create a new row in tableId instead of updating rowId
+ * @param {Object} options.rowValues - Extra values for the created row, keyed by field name or ID
+ * @param {Object} options.rowMatch - Find the row to update by field value instead of rowId: `{ field?, value, createIfMissing? }`
+ * @param {string} options.visibleName - Name shown for the file in the row (default: filename, or the name of the uploaded file)
+ * @param {string} options.profile - Baserow profile to upload to (default: the default profile)
+ * @param {string} options.fetchMode - 'baserow' lets Baserow download the URL, 'local' downloads it here and uploads the content (default: BASEROW_URL_FETCH_MODE or 'baserow')
+ * @param {Object} options.imageProcessing - Resize, convert or strip the metadata of the downloaded image before uploading it, see processImage; needs the 'local' fetch mode
+ * @param {boolean} options.dedupe - Reuse an earlier upload of identical content from the upload index instead of uploading it again, in the 'local' fetch mode (default: true when BASEROW_UPLOAD_INDEX_FILE is set)
+ * @param {boolean} options.dryRun - Check everything but upload nothing, returning the planned requests instead
+ * @param {Function} options.onProgress - Called with `{ bytesSent, totalBytes }` as downloaded content is uploaded in local fetch mode
+ * @param {AbortSignal} options.signal - Optional signal to abort the in-flight requests
+ * @returns {Promise<Object>} Upload result (`{ success, dry_run, plan }` for dry runs), or `{ success: false, validation_error }` when the URL or target field is refused
  */
-async function uploadImageUrl(url, filename, tableId, rowId, fieldName) {
-  // Environment variables
-  const BASEROW_API_URL = process.env.BASEROW_API_URL;
-  const BASEROW_API_TOKEN = process.env.BASEROW_API_TOKEN;
-
-  if (!BASEROW_API_URL || !BASEROW_API_TOKEN) {
-    throw new Error("BASEROW_API_URL and BASEROW_API_TOKEN environment variables are required");
-  }
+async function uploadImageUrl (url, filename, tableId, rowId, fieldName, options = {}) {
+  // Connection settings of the selected profile
+  const profile = resolveProfile(options.profile);
+  const BASEROW_API_URL = profile.apiUrl;
+  const BASEROW_API_TOKEN = profile.credentials;
 
   try {
-    // Step 1: Upload the image via URL
-    const uploadPayload = { url };
-    if (filename) {
-      uploadPayload.filename = filename;
+    // Refuse URLs pointing at internal services before Baserow (or this server) fetches them
+    const urlError = await checkUrlPolicy(url);
+    if (urlError) {
+      return {
+        success: false,
+        validation_error: urlError
+      };
     }
 
-    const uploadResponse = await fetch(`${BASEROW_API_URL}/api/user-files/upload-via-url/`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${BASEROW_API_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(uploadPayload)
-    });
+    // Baserow downloads the URL itself unless it is fetched locally, so only local downloads can be processed
+    const localFetch = (options.fetchMode || getUrlFetchMode()) === 'local';
+    if (options.imageProcessing && !localFetch) {
+      throw new Error('Image processing needs fetchMode "local", as Baserow downloads the URL itself otherwise');
+    }
 
-    if (!uploadResponse.ok) {
-      const errorText = await uploadResponse.text();
-      throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}. ${errorText}`);
+    // Stay within the tables the profile may use
+    const tableError = checkTableAllowed(profile, tableId);
+    if (tableError) {
+      return {
+        success: false,
+        validation_error: tableError
+      };
     }
 
-    const uploadResult = await uploadResponse.json();
-    
-    // Step 2: If table/row/field info provided, update the row
-    if (tableId && rowId && fieldName) {
-      // First, resolve field name to field ID
-      const fieldId = await getFieldId(tableId, fieldName, BASEROW_API_URL, BASEROW_API_TOKEN);
-      if (!fieldId) {
+    // Step 1: If table/row/field info provided, resolve the target row and field first
+    const visibleName = options.visibleName || filename;
+    const target = await resolveRowTarget(tableId, rowId, fieldName, { ...options, visibleName }, BASEROW_API_URL, BASEROW_API_TOKEN);
+
+    // Refuse uploads that the target field can't hold instead of leaving an orphaned file
+    const uploadName = convertedFileName(filename || getUrlFilename(url), options.imageProcessing?.format);
+    const validationError = target && validateUploadTarget(target, uploadName);
+    if (validationError) {
+      return {
+        success: false,
+        validation_error: validationError
+      };
+    }
+
+    // Dry runs stop here and report the requests that would be sent
+    if (options.dryRun) {
+      const plannedName = uploadName || 'download';
+      const upload = localFetch
+        ? { method: 'POST', endpoint: `${BASEROW_API_URL}/api/user-files/upload-file/`, payload: { file: { name: plannedName, downloadedFrom: url, ...(options.imageProcessing && { imageProcessing: options.imageProcessing }) } } }
+        : { method: 'POST', endpoint: `${BASEROW_API_URL}/api/user-files/upload-via-url/`, payload: { url, ...(filename && { filename }) } };
+      return await planUpload(upload, target, plannedName, BASEROW_API_URL, BASEROW_API_TOKEN, options.signal);
+    }
+
+    // Step 2: Upload the image via URL, or download it here and upload its content
+    let uploadResult;
+    let imageProcessing;
+    let reused = false;
+    if (localFetch) {
+      const download = await downloadUrl(url, options.signal);
+      if (download.validationError) {
         return {
-          success: true,
-          uploaded_file: uploadResult,
-          row_update_error: `Failed to resolve field "${fieldName}" in table ${tableId}`
+          success: false,
+          validation_error: download.validationError
         };
       }
 
-      const updatePayload = {
-        [`field_${fieldId}`]: [uploadResult]
-      };
+      let { content, mimeType } = download;
+      let downloadName = filename || download.fileName;
+      if (options.imageProcessing) {
+        const processed = await processImage(content, downloadName, options.imageProcessing);
+        if (processed.validationError) {
+          return {
+            success: false,
+            validation_error: processed.validationError
+          };
+        }
+        ({ content, mimeType, fileName: downloadName, report: imageProcessing } = processed);
+      }
 
-      const updateResponse = await fetch(`${BASEROW_API_URL}/api/database/rows/table/${tableId}/${rowId}/`, {
-        method: 'PATCH',
+      ({ uploadResult, reused } = await uploadFileContentOnce(
+        () => [content],
+        content.length,
+        downloadName,
+        mimeType,
+        BASEROW_API_URL,
+        BASEROW_API_TOKEN,
+        options
+      ));
+    } else {
+      const uploadPayload = { url };
+      if (filename) {
+        uploadPayload.filename = filename;
+      }
+
+      const uploadResponse = await baserowFetch(`${BASEROW_API_URL}/api/user-files/upload-via-url/`, {
+        method: 'POST',
         headers: {
-          'Authorization': `Token ${BASEROW_API_TOKEN}`,
+          Authorization: await getAuthorization(BASEROW_API_URL, BASEROW_API_TOKEN, options.signal),
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(updatePayload)
-      });
+        body: JSON.stringify(uploadPayload),
+        signal: options.signal
+      }, { upload: true });
 
-      if (!updateResponse.ok) {
-        const errorText = await updateResponse.text();
-        console.warn(`Row update failed: ${updateResponse.status} ${updateResponse.statusText}. ${errorText}`);
-        // Return upload result even if row update fails
-        return {
-          success: true,
-          uploaded_file: uploadResult,
-          row_update_error: `Failed to update row: ${updateResponse.status} ${updateResponse.statusText}`
-        };
+      if (!uploadResponse.ok) {
+        const errorText = await uploadResponse.text();
+        throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}. ${errorText}`);
       }
 
-      const updateResult = await updateResponse.json();
+      uploadResult = await uploadResponse.json();
+    }
+
+    // Step 3: Write the uploaded file into the target row
+    if (target) {
       return {
         success: true,
         uploaded_file: uploadResult,
-        updated_row: updateResult
+        ...(reused && { reused_upload: true }),
+        ...(imageProcessing && { image_processing: imageProcessing }),
+        ...await writeFileToRow(target, uploadResult, BASEROW_API_URL, BASEROW_API_TOKEN, options.signal, reused)
       };
     }
 
     return {
       success: true,
-      uploaded_file: uploadResult
+      uploaded_file: uploadResult,
+      ...(reused && { reused_upload: true }),
+      ...(imageProcessing && { image_processing: imageProcessing })
     };
   } catch (error) {
     throw new Error(`Upload failed: ${error.message}`);
@@ -134,100 +587,145 @@ async function uploadImageUrl(url, filename, tableId, rowId, fieldName) {
  * @param {string} tableId - Optional Baserow table ID
  * @param {string} rowId - Optional row ID
  * @param {string} fieldName - Optional field name
- * @returns {Promise<Object>} Upload result
+ * @param {Object} options - Optional settings
+ * @param {string} options.attachMode - How to combine the upload with existing files (default: 'replace')
+ * @param {boolean} options.createRow - Create a new row in tableId instead of updating rowId
+ * @param {Object} options.rowValues - Extra values for the created row, keyed by field name or ID
+ * @param {Object} options.rowMatch - Find the row to update by field value instead of rowId: `{ field?, value, createIfMissing? }`
+ * @param {string} options.visibleName - Name shown for the file in the row (default: filename, or the name of the uploaded file)
+ * @param {string} options.profile - Baserow profile to upload to (default: the default profile)
+ * @param {number} options.maxFileSize - Largest file accepted in bytes (default: BASEROW_MAX_UPLOAD_BYTES, unlimited when unset)
+ * @param {Array<string>} options.fileRoots - Directories files may be read from (default: BASEROW_FILE_ROOTS, anywhere when unset)
+ * @param {Object} options.imageProcessing - Resize, convert or strip the metadata of the image before uploading it, see processImage
+ * @param {boolean} options.dedupe - Reuse an earlier upload of identical content from the upload index instead of uploading it again (default: true when BASEROW_UPLOAD_INDEX_FILE is set)
+ * @param {boolean} options.dryRun - Check everything but upload nothing, returning the planned requests instead
+ * @param {Function} options.onProgress - Called with `{ bytesSent, totalBytes }` as the file is streamed
+ * @param {AbortSignal} options.signal - Optional signal to abort the in-flight requests
+ * @returns {Promise<Object>} Upload result (`{ success, dry_run, plan }` for dry runs), or `{ success: false, validation_error }` when the file or target field is refused
  */
-async function uploadFile(filePath, filename, tableId, rowId, fieldName) {
-  // Environment variables
-  const BASEROW_API_URL = process.env.BASEROW_API_URL;
-  const BASEROW_API_TOKEN = process.env.BASEROW_API_TOKEN;
-
-  if (!BASEROW_API_URL || !BASEROW_API_TOKEN) {
-    throw new Error("BASEROW_API_URL and BASEROW_API_TOKEN environment variables are required");
-  }
+async function uploadFile (filePath, filename, tableId, rowId, fieldName, options = {}) {
+  // Connection settings of the selected profile
+  const profile = resolveProfile(options.profile);
+  const BASEROW_API_URL = profile.apiUrl;
+  const BASEROW_API_TOKEN = profile.credentials;
 
   const fs = await import('fs');
   const path = await import('path');
 
   try {
+    // Only read files inside the sandbox, following symlinks and `..` to where they really point
+    const sandbox = checkFileSandbox(filePath, options.fileRoots ?? getFileRoots());
+    if (sandbox.validationError) {
+      return {
+        success: false,
+        validation_error: sandbox.validationError
+      };
+    }
+
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!fs.existsSync(sandbox.realPath)) {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    // Read file
-    const fileBuffer = fs.readFileSync(filePath);
-    const originalFilename = filename || path.basename(filePath);
-
-    // Create FormData for file upload
-    const FormData = (await import('formdata-node')).FormData;
-    const { Blob } = await import('buffer');
-    
-    const formData = new FormData();
-    formData.append('file', new Blob([fileBuffer]), originalFilename);
+    const stats = fs.statSync(sandbox.realPath);
+    if (!stats.isFile()) {
+      throw new Error(`Not a file: ${filePath}`);
+    }
 
-    // Step 1: Upload the file
-    const uploadResponse = await fetch(`${BASEROW_API_URL}/api/user-files/upload-file/`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${BASEROW_API_TOKEN}`
-      },
-      body: formData
-    });
+    // Check the size up front so oversized files are refused before any API call
+    const maxFileSize = options.maxFileSize ?? getMaxUploadSize();
+    if (maxFileSize && stats.size > maxFileSize) {
+      return {
+        success: false,
+        validation_error: {
+          code: 'file_too_large',
+          message: `File is ${stats.size} bytes, which exceeds the upload limit of ${maxFileSize} bytes`
+        }
+      };
+    }
 
-    if (!uploadResponse.ok) {
-      const errorText = await uploadResponse.text();
-      throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}. ${errorText}`);
+    // Stay within the tables the profile may use
+    const tableError = checkTableAllowed(profile, tableId);
+    if (tableError) {
+      return {
+        success: false,
+        validation_error: tableError
+      };
     }
 
-    const uploadResult = await uploadResponse.json();
-    
-    // Step 2: If table/row/field info provided, update the row
-    if (tableId && rowId && fieldName) {
-      // First, resolve field name to field ID
-      const fieldId = await getFieldId(tableId, fieldName, BASEROW_API_URL, BASEROW_API_TOKEN);
-      if (!fieldId) {
+    let originalFilename = filename || path.basename(filePath);
+    let openContent = () => fs.createReadStream(sandbox.realPath);
+    let size = stats.size;
+
+    // Process images before the target is checked, as converting them changes their name and type
+    let imageProcessing;
+    if (options.imageProcessing) {
+      const processed = await processImage(fs.readFileSync(sandbox.realPath), originalFilename, options.imageProcessing);
+      if (processed.validationError) {
         return {
-          success: true,
-          uploaded_file: uploadResult,
-          row_update_error: `Failed to resolve field "${fieldName}" in table ${tableId}`
+          success: false,
+          validation_error: processed.validationError
         };
       }
+      originalFilename = processed.fileName;
+      openContent = () => [processed.content];
+      size = processed.content.length;
+      imageProcessing = processed.report;
+    }
+
+    // Step 1: If table/row/field info provided, resolve the target row and field first
+    const visibleName = options.visibleName || originalFilename;
+    const target = await resolveRowTarget(tableId, rowId, fieldName, { ...options, visibleName }, BASEROW_API_URL, BASEROW_API_TOKEN);
 
-      const updatePayload = {
-        [`field_${fieldId}`]: [uploadResult]
+    // Refuse uploads that the target field can't hold instead of leaving an orphaned file
+    const validationError = target && validateUploadTarget(target, originalFilename);
+    if (validationError) {
+      return {
+        success: false,
+        validation_error: validationError
       };
+    }
 
-      const updateResponse = await fetch(`${BASEROW_API_URL}/api/database/rows/table/${tableId}/${rowId}/`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Token ${BASEROW_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(updatePayload)
-      });
+    const mimeType = imageProcessing
+      ? `image/${imageProcessing.after.format}`
+      : guessMimeType(originalFilename) || 'application/octet-stream';
 
-      if (!updateResponse.ok) {
-        const errorText = await updateResponse.text();
-        console.warn(`Row update failed: ${updateResponse.status} ${updateResponse.statusText}. ${errorText}`);
-        // Return upload result even if row update fails
-        return {
-          success: true,
-          uploaded_file: uploadResult,
-          row_update_error: `Failed to update row: ${updateResponse.status} ${updateResponse.statusText}`
-        };
-      }
+    // Dry runs stop here and report the requests that would be sent
+    if (options.dryRun) {
+      const upload = { method: 'POST', endpoint: `${BASEROW_API_URL}/api/user-files/upload-file/`, payload: { file: { name: originalFilename, mimeType, size } } };
+      return {
+        ...await planUpload(upload, target, originalFilename, BASEROW_API_URL, BASEROW_API_TOKEN, options.signal),
+        ...(imageProcessing && { image_processing: imageProcessing })
+      };
+    }
+
+    // Step 2: Stream the file from disk (or the processed image) into the multipart body, unless it was uploaded before
+    const { uploadResult, reused } = await uploadFileContentOnce(
+      openContent,
+      size,
+      originalFilename,
+      mimeType,
+      BASEROW_API_URL,
+      BASEROW_API_TOKEN,
+      options
+    );
 
-      const updateResult = await updateResponse.json();
+    // Step 3: Write the uploaded file into the target row
+    if (target) {
       return {
         success: true,
         uploaded_file: uploadResult,
-        updated_row: updateResult
+        ...(reused && { reused_upload: true }),
+        ...(imageProcessing && { image_processing: imageProcessing }),
+        ...await writeFileToRow(target, uploadResult, BASEROW_API_URL, BASEROW_API_TOKEN, options.signal, reused)
       };
     }
 
     return {
       success: true,
-      uploaded_file: uploadResult
+      uploaded_file: uploadResult,
+      ...(reused && { reused_upload: true }),
+      ...(imageProcessing && { image_processing: imageProcessing })
     };
   } catch (error) {
     throw new Error(`File upload failed: ${error.message}`);
@@ -235,224 +733,3521 @@ async function uploadFile(filePath, filename, tableId, rowId, fieldName) {
 }
 
 /**
- * Read all tables and fields structure from Baserow
- * @param {boolean} includeRows - Whether to include sample rows data
- * @param {number} maxRows - Maximum number of rows to fetch per table
- * @returns {Promise<Object>} Complete Baserow structure
+ * Upload file content passed inline as base64 or a data: URI to Baserow
+ * @param {string} content - Base64 encoded bytes, or a `data:` URI (base64 or percent-encoded)
+ * @param {string} filename - Filename for the uploaded file
+ * @param {string} tableId - Optional Baserow table ID
+ * @param {string} rowId - Optional row ID
+ * @param {string} fieldName - Optional field name
+ * @param {Object} options - Optional settings
+ * @param {string} options.mimeType - Content type of the file (default: the data URI's type, or guessed from the filename)
+ * @param {string} options.attachMode - How to combine the upload with existing files (default: 'replace')
+ * @param {boolean} options.createRow - Create a new row in tableId instead of updating rowId
+ * @param {Object} options.rowValues - Extra values for the created row, keyed by field name or ID
+ * @param {Object} options.rowMatch - Find the row to update by field value instead of rowId: `{ field?, value, createIfMissing? }`
+ * @param {string} options.visibleName - Name shown for the file in the row (default: filename, or the name of the uploaded file)
+ * @param {string} options.profile - Baserow profile to upload to (default: the default profile)
+ * @param {number} options.maxFileSize - Largest content accepted in bytes (default: BASEROW_MAX_UPLOAD_BYTES, unlimited when unset)
+ * @param {boolean} options.dedupe - Reuse an earlier upload of identical content from the upload index instead of uploading it again (default: true when BASEROW_UPLOAD_INDEX_FILE is set)
+ * @param {boolean} options.dryRun - Check everything but upload nothing, returning the planned requests instead
+ * @param {Function} options.onProgress - Called with `{ bytesSent, totalBytes }` as the content is sent
+ * @param {AbortSignal} options.signal - Optional signal to abort the in-flight requests
+ * @returns {Promise<Object>} Upload result (`{ success, dry_run, plan }` for dry runs), or `{ success: false, validation_error }` when the content or target field is refused
  */
-async function readBaserowStructure(includeRows = false, maxRows = 5) {
-  const BASEROW_API_URL = process.env.BASEROW_API_URL;
-  const BASEROW_API_TOKEN = process.env.BASEROW_API_TOKEN;
+async function uploadContent (content, filename, tableId, rowId, fieldName, options = {}) {
+  // Connection settings of the selected profile
+  const profile = resolveProfile(options.profile);
+  const BASEROW_API_URL = profile.apiUrl;
+  const BASEROW_API_TOKEN = profile.credentials;
+
+  try {
+    const decoded = decodeContent(content);
+
+    // Check the size up front so oversized content is refused before any API call
+    const maxFileSize = options.maxFileSize ?? getMaxUploadSize();
+    if (maxFileSize && decoded.bytes.length > maxFileSize) {
+      return {
+        success: false,
+        validation_error: {
+          code: 'file_too_large',
+          message: `Content is ${decoded.bytes.length} bytes, which exceeds the upload limit of ${maxFileSize} bytes`
+        }
+      };
+    }
+
+    // Stay within the tables the profile may use
+    const tableError = checkTableAllowed(profile, tableId);
+    if (tableError) {
+      return {
+        success: false,
+        validation_error: tableError
+      };
+    }
+
+    // Step 1: If table/row/field info provided, resolve the target row and field first
+    const visibleName = options.visibleName || filename;
+    const target = await resolveRowTarget(tableId, rowId, fieldName, { ...options, visibleName }, BASEROW_API_URL, BASEROW_API_TOKEN);
+
+    // Refuse uploads that the target field can't hold instead of leaving an orphaned file
+    const validationError = target && validateUploadTarget(target, filename);
+    if (validationError) {
+      return {
+        success: false,
+        validation_error: validationError
+      };
+    }
+
+    const mimeType = options.mimeType || decoded.mimeType || guessMimeType(filename) || 'application/octet-stream';
 
-  if (!BASEROW_API_URL || !BASEROW_API_TOKEN) {
-    throw new Error("BASEROW_API_URL and BASEROW_API_TOKEN environment variables are required");
+    // Dry runs stop here and report the requests that would be sent
+    if (options.dryRun) {
+      const upload = { method: 'POST', endpoint: `${BASEROW_API_URL}/api/user-files/upload-file/`, payload: { file: { name: filename, mimeType, size: decoded.bytes.length } } };
+      return await planUpload(upload, target, filename, BASEROW_API_URL, BASEROW_API_TOKEN, options.signal);
+    }
+
+    // Step 2: Send the decoded bytes as a multipart body, unless they were uploaded before
+    const { uploadResult, reused } = await uploadFileContentOnce(
+      () => [decoded.bytes],
+      decoded.bytes.length,
+      filename,
+      mimeType,
+      BASEROW_API_URL,
+      BASEROW_API_TOKEN,
+      options
+    );
+
+    // Step 3: Write the uploaded file into the target row
+    if (target) {
+      return {
+        success: true,
+        uploaded_file: uploadResult,
+        ...(reused && { reused_upload: true }),
+        ...await writeFileToRow(target, uploadResult, BASEROW_API_URL, BASEROW_API_TOKEN, options.signal, reused)
+      };
+    }
+
+    return {
+      success: true,
+      uploaded_file: uploadResult,
+      ...(reused && { reused_upload: true })
+    };
+  } catch (error) {
+    throw new Error(`Content upload failed: ${error.message}`);
   }
+}
+
+/**
+ * Resize, convert and strip the metadata of an image before it is uploaded
+ * @param {Buffer} content - The image bytes
+ * @param {string} fileName - Name of the image; it gets the extension of the output format
+ * @param {Object} settings - `{ maxWidth?, maxHeight?, format?, quality?, stripMetadata? }`, see ImageProcessingSchema
+ * @returns {Promise<Object>} `{ content, fileName, mimeType, report }` where report holds the format, dimensions and size before and after, or `{ validationError }` when the content can't be processed as an image
+ */
+async function processImage (content, fileName, settings) {
+  const sharp = await loadSharp();
+  const { maxWidth, maxHeight, format, quality, stripMetadata = true } = settings;
+  const refuse = (error) => ({
+    validationError: {
+      code: 'image_processing_failed',
+      message: `"${fileName}" can't be processed as an image: ${error.message}`
+    }
+  });
 
+  let before;
+  let output;
   try {
-    const structure = {
-      workspaces: [],
-      summary: {
-        totalWorkspaces: 0,
-        totalApplications: 0,
-        totalTables: 0,
-        totalFields: 0
-      }
+    before = await sharp(content).metadata();
+    // Keep the format unless sharp can't write it, such as SVG
+    const outputFormat = format || (sharp.format[before.format]?.output.buffer ? before.format : 'png');
+
+    // Apply the EXIF orientation first, as it is lost with the rest of the metadata
+    const pipeline = sharp(content).autoOrient();
+    if (maxWidth || maxHeight) {
+      pipeline.resize({ width: maxWidth, height: maxHeight, fit: 'inside', withoutEnlargement: true });
+    }
+    if (!stripMetadata) {
+      pipeline.keepMetadata();
+    }
+    output = await pipeline.toFormat(outputFormat, quality ? { quality } : {}).toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    return refuse(error);
+  }
+
+  const { data, info } = output;
+  return {
+    content: data,
+    fileName: info.format === before.format ? fileName : convertedFileName(fileName, info.format),
+    mimeType: `image/${info.format}`,
+    report: {
+      before: { format: before.format, width: before.width, height: before.height, size: content.length },
+      after: { format: info.format, width: info.width, height: info.height, size: data.length },
+      metadataStripped: stripMetadata
+    }
+  };
+}
+
+// Extensions of converted images, for formats whose name isn't their usual extension
+const IMAGE_EXTENSIONS = { jpeg: '.jpg', tiff: '.tif', heif: '.heic' };
+
+// Helper function to give a file name the extension of the image format it is converted to. Names that
+// already fit the format are kept, so photo.jpeg stays photo.jpeg when converted to 'jpeg'
+function convertedFileName (fileName, format) {
+  if (!fileName || !format || guessMimeType(fileName) === `image/${format}`) {
+    return fileName;
+  }
+  const extension = getExtension(fileName);
+  const stem = extension ? fileName.slice(0, -extension.length) : fileName;
+  return `${stem}${IMAGE_EXTENSIONS[format] || `.${format}`}`;
+}
+
+// The sharp module, loaded on first use as it is an optional dependency; null when it isn't installed
+let sharpModule;
+
+// Helper function to load sharp for image processing, failing with install instructions when it is missing
+async function loadSharp () {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = (await import('sharp')).default;
+    } catch {
+      sharpModule = null;
+    }
+  }
+  if (!sharpModule) {
+    throw new Error('Image processing needs the optional sharp package; install it with `npm install sharp`');
+  }
+  return sharpModule;
+}
+
+// Helper function to decode base64 or data: URI content into `{ bytes, mimeType }`, where mimeType is
+// the data URI's type (null for plain base64)
+function decodeContent (content) {
+  const dataUri = /^data:([^,]*),(.*)$/s.exec(content.trim());
+  if (dataUri) {
+    const [type, ...parameters] = dataUri[1].split(';');
+    const base64 = parameters.some(parameter => parameter.trim().toLowerCase() === 'base64');
+    let bytes;
+    try {
+      bytes = base64 ? decodeBase64(dataUri[2]) : Buffer.from(decodeURIComponent(dataUri[2]), 'utf8');
+    } catch (error) {
+      throw new Error(`Invalid data URI: ${error.message}`);
+    }
+    return {
+      bytes,
+      mimeType: type.trim().toLowerCase() || null
     };
+  }
 
-    // Step 1: Get all workspaces
-    const workspacesResponse = await fetch(`${BASEROW_API_URL}/api/workspaces/`, {
-      headers: {
-        'Authorization': `Token ${BASEROW_API_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  return {
+    bytes: decodeBase64(content),
+    mimeType: null
+  };
+}
 
-    if (!workspacesResponse.ok) {
-      throw new Error(`Failed to fetch workspaces: ${workspacesResponse.status} ${workspacesResponse.statusText}`);
+// Helper function to decode (standard or URL-safe) base64, rejecting text that isn't base64
+// instead of silently skipping the invalid characters like Buffer.from does
+function decodeBase64 (text) {
+  const compact = text.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/\-_]*={0,2}$/.test(compact) || compact.length % 4 === 1) {
+    throw new Error('Content is not valid base64');
+  }
+  return Buffer.from(compact, 'base64');
+}
+
+// Ways of fetching a URL: Baserow downloads it (upload-via-url), or this server downloads it and uploads the content
+const URL_FETCH_MODES = ['baserow', 'local'];
+
+// Redirects followed when downloading a URL in local fetch mode
+const MAX_DOWNLOAD_REDIRECTS = 5;
+
+// Address ranges URLs may not point at unless BASEROW_URL_ALLOW_PRIVATE is set: "this" network, private,
+// carrier-grade NAT, loopback, link-local (including cloud metadata endpoints), benchmarking, multicast and
+// reserved, plus the IPv6 ranges that embed an IPv4 address which may be any of these: IPv4-compatible,
+// NAT64 and 6to4. Site-local is deprecated but still routed internally by some networks
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Helper function to read the default URL fetch mode from BASEROW_URL_FETCH_MODE
+function getUrlFetchMode () {
+  const mode = (process.env.BASEROW_URL_FETCH_MODE || 'baserow').trim().toLowerCase();
+  if (!URL_FETCH_MODES.includes(mode)) {
+    throw new Error(`Invalid BASEROW_URL_FETCH_MODE "${mode}" (expected one of: ${URL_FETCH_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+// Helper function to read a comma separated, lower-cased list from the environment
+function readListEnv (name, defaultValue = '') {
+  return (process.env[name] ?? defaultValue).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Helper function to match a host name against a host list entry, where `*` matches any characters
+function matchesHostPattern (host, pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return regex.test(host);
+}
+
+/**
+ * Check a URL against the URL policy before it is fetched: allowed schemes (BASEROW_URL_ALLOWED_SCHEMES),
+ * allowed and denied hosts (BASEROW_URL_ALLOWED_HOSTS / BASEROW_URL_DENIED_HOSTS) and, unless
+ * BASEROW_URL_ALLOW_PRIVATE is set, hosts resolving to private, loopback or link-local addresses
+ * @param {string} url - The URL to check
+ * @returns {Promise<Object|null>} A validation error `{ code: 'url_not_allowed', url, message }`, or null when the URL may be fetched
+ */
+async function checkUrlPolicy (url) {
+  const refuse = (message) => ({ code: 'url_not_allowed', url, message });
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return refuse(`Invalid URL: ${url}`);
+  }
+
+  const schemes = readListEnv('BASEROW_URL_ALLOWED_SCHEMES', 'https,http');
+  const scheme = parsed.protocol.slice(0, -1);
+  if (!schemes.includes(scheme)) {
+    return refuse(`URL scheme "${scheme}" is not allowed (allowed: ${schemes.join(', ')})`);
+  }
+
+  // IPv6 hosts come in brackets, e.g. [::1]
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (readListEnv('BASEROW_URL_DENIED_HOSTS').some(pattern => matchesHostPattern(host, pattern))) {
+    return refuse(`Host ${host} is on the denied hosts list (BASEROW_URL_DENIED_HOSTS)`);
+  }
+  const allowedHosts = readListEnv('BASEROW_URL_ALLOWED_HOSTS');
+  if (allowedHosts.length && !allowedHosts.some(pattern => matchesHostPattern(host, pattern))) {
+    return refuse(`Host ${host} is not on the allowed hosts list (BASEROW_URL_ALLOWED_HOSTS)`);
+  }
+
+  if (readBooleanEnv('BASEROW_URL_ALLOW_PRIVATE')) {
+    return null;
+  }
+
+  let addresses;
+  if (isIP(host)) {
+    addresses = [{ address: host, family: isIP(host) }];
+  } else {
+    try {
+      addresses = await lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      // Hosts Baserow might resolve to an internal address can't be told apart from unreachable ones
+      return refuse(`Host ${host} could not be resolved (${error.code || error.message})`);
     }
+  }
 
-    const workspacesData = await workspacesResponse.json();
-    structure.summary.totalWorkspaces = workspacesData.results?.length || 0;
+  const privateAddress = addresses.find(isPrivateAddress);
+  if (privateAddress) {
+    return refuse(privateAddressMessage(host, privateAddress.address));
+  }
 
-    // Step 2: For each workspace, get applications and tables
-    for (const workspace of workspacesData.results || []) {
-      const workspaceInfo = {
-        id: workspace.id,
-        name: workspace.name,
-        applications: []
-      };
+  return null;
+}
 
-      // Get applications for this workspace
-      const appsResponse = await fetch(`${BASEROW_API_URL}/api/applications/workspace/${workspace.id}/`, {
-        headers: {
-          'Authorization': `Token ${BASEROW_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      });
+// Helper function to tell whether a resolved `{ address, family }` is in PRIVATE_ADDRESSES
+function isPrivateAddress ({ address, family }) {
+  return PRIVATE_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
 
-      if (!appsResponse.ok) {
-        console.warn(`Failed to fetch applications for workspace ${workspace.id}: ${appsResponse.status}`);
-        // Still add the workspace with empty applications
-        structure.workspaces.push(workspaceInfo);
-        continue;
-      }
+// Helper function to explain why a host with a private address is refused
+function privateAddressMessage (host, address) {
+  return `Host ${host} ${address === host ? 'is' : `resolves to ${address}, which is`} a private, loopback or link-local address; set BASEROW_URL_ALLOW_PRIVATE=true to allow internal addresses`;
+}
+
+// Connection pool of the local fetch mode, created on first use; see lookupPublicAddress
+let publicAddressAgent;
 
-      const appsData = await appsResponse.json();
-      structure.summary.totalApplications += appsData.length || 0;
+// Helper function to get the dispatcher for local fetch mode downloads, or undefined when BASEROW_URL_ALLOW_PRIVATE
+// is set. Its connections only go to the public addresses checkUrlPolicy allows, so a host can't resolve to a public
+// address for the check and to an internal one for the download (DNS rebinding).
+function getDownloadDispatcher () {
+  if (readBooleanEnv('BASEROW_URL_ALLOW_PRIVATE')) {
+    return undefined;
+  }
+  publicAddressAgent ??= new Agent({ connect: { lookup: lookupPublicAddress } });
+  return publicAddressAgent;
+}
 
-      // Step 3: For each application, get tables
-      for (const application of appsData || []) {
-        if (application.type !== 'database') continue;
+// Helper function used as the connection lookup of the local fetch mode: resolves host names like dns.lookup,
+// but fails with the URL policy's validation error (as `error.validationError`) when any address is private
+function lookupPublicAddress (hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }).then((addresses) => {
+    const privateAddress = addresses.find(isPrivateAddress);
+    if (privateAddress) {
+      const error = new Error(privateAddressMessage(hostname, privateAddress.address));
+      error.validationError = { code: 'url_not_allowed', message: error.message };
+      callback(error);
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  }, callback);
+}
+
+/**
+ * Download a URL on this server for the local fetch mode. Redirects are followed only to URLs that
+ * pass the URL policy, and the download is limited to BASEROW_URL_MAX_BYTES and, when set,
+ * BASEROW_URL_ALLOWED_CONTENT_TYPES. The content is kept in memory so it can be re-sent on retries.
+ * @param {string} url - The URL to download (already checked against the URL policy)
+ * @param {AbortSignal} signal - Optional signal to abort the download
+ * @returns {Promise<Object>} `{ content, fileName, mimeType }`, or `{ validationError }` when the download is refused
+ */
+async function downloadUrl (url, signal) {
+  let currentUrl = url;
+  let response;
+  const dispatcher = getDownloadDispatcher();
+  for (let redirects = 0; ; redirects++) {
+    try {
+      response = await baserowFetch(currentUrl, { method: 'GET', redirect: 'manual', signal, ...(dispatcher && { dispatcher }) }, { upload: true });
+    } catch (error) {
+      // The host resolved to a private address when connecting, after passing checkUrlPolicy
+      if (error.cause?.validationError) {
+        return {
+          validationError: { ...error.cause.validationError, url: currentUrl }
+        };
+      }
+      throw error;
+    }
+
+    const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+    if (!location) {
+      break;
+    }
+    if (redirects >= MAX_DOWNLOAD_REDIRECTS) {
+      throw new Error(`Download failed: more than ${MAX_DOWNLOAD_REDIRECTS} redirects`);
+    }
+
+    currentUrl = new URL(location, currentUrl).href;
+    const urlError = await checkUrlPolicy(currentUrl);
+    if (urlError) {
+      return {
+        validationError: { ...urlError, message: `Redirected to a refused URL: ${urlError.message}` }
+      };
+    }
+  }
+
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+  }
+
+  const fileName = getUrlFilename(currentUrl) || 'download';
+  const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() ||
+    guessMimeType(fileName) || 'application/octet-stream';
+  const allowedTypes = parseFileTypes(process.env.BASEROW_URL_ALLOWED_CONTENT_TYPES);
+  if (allowedTypes.length && !allowedTypes.some(type => matchesFileType(type, mimeType, getExtension(fileName)))) {
+    return {
+      validationError: {
+        code: 'content_type_not_allowed',
+        url,
+        message: `${url} is ${mimeType}, but only ${allowedTypes.join(', ')} may be downloaded (BASEROW_URL_ALLOWED_CONTENT_TYPES)`
+      }
+    };
+  }
+
+  const maxBytes = getMaxDownloadSize();
+  const tooLarge = (size) => ({
+    validationError: {
+      code: 'file_too_large',
+      url,
+      message: `${url} is ${size === null ? 'larger than' : `${size} bytes, which exceeds`} the download limit of ${maxBytes} bytes`
+    }
+  });
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (declaredSize > maxBytes) {
+    await response.body?.cancel?.().catch(() => {});
+    return tooLarge(declaredSize);
+  }
+
+  // The declared size can't be trusted, so count the bytes as they arrive
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      return tooLarge(null);
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return {
+    content: Buffer.concat(chunks),
+    fileName,
+    mimeType
+  };
+}
+
+// Helper function to read the local fetch mode's download limit: BASEROW_URL_MAX_BYTES (default 100 MB),
+// capped by BASEROW_MAX_UPLOAD_BYTES when that is lower
+function getMaxDownloadSize () {
+  const limit = readNumberEnv('BASEROW_URL_MAX_BYTES', 100 * 1024 * 1024);
+  const uploadLimit = getMaxUploadSize();
+  return uploadLimit ? Math.min(limit, uploadLimit) : limit;
+}
+
+/**
+ * Check a local file against the file sandbox before it is read. The path is resolved to its real
+ * location (following symlinks and `..`), which must lie inside one of the allowed root directories
+ * when roots are configured. Hidden files and directories (names starting with a dot) below the root
+ * are refused unless BASEROW_ALLOW_HIDDEN_FILES is set. Missing paths are checked the same way, so
+ * callers must only report them as missing once they pass: paths outside the roots are refused
+ * whether they exist or not, which keeps their existence hidden.
+ * @param {string} filePath - Local file path, which may not exist
+ * @param {Array<string>} fileRoots - Real paths of the allowed root directories, empty to allow any directory
+ * @param {string} kind - What the path is called in error messages, 'File' or 'Directory' (a directory may also be a root itself)
+ * @returns {Object} `{ realPath }` when the file may be read, or `{ validationError }` saying which root refused it
+ */
+function checkFileSandbox (filePath, fileRoots, kind = 'File') {
+  const realPath = resolveRealPath(resolve(filePath));
+  const resolvedNote = realPath === resolve(filePath) ? '' : ` (it resolves to ${realPath})`;
+
+  let root = null;
+  let insidePath = realPath;
+  if (fileRoots.length) {
+    root = fileRoots.find(candidate => isInsideDirectory(candidate, realPath) || (kind === 'Directory' && candidate === realPath));
+    if (!root) {
+      return {
+        validationError: {
+          code: 'path_not_allowed',
+          path: filePath,
+          message: `${kind} ${filePath} is outside the allowed file roots ${fileRoots.join(', ')}${resolvedNote}`
+        }
+      };
+    }
+    insidePath = relative(root, realPath);
+  }
+
+  const hiddenPart = insidePath.split(sep).find(part => part.startsWith('.'));
+  if (hiddenPart && !readBooleanEnv('BASEROW_ALLOW_HIDDEN_FILES')) {
+    return {
+      validationError: {
+        code: 'path_not_allowed',
+        path: filePath,
+        ...(root && { root }),
+        message: `${kind} ${filePath} is refused${root ? ` by file root ${root}` : ''} because "${hiddenPart}" is hidden${resolvedNote}; set BASEROW_ALLOW_HIDDEN_FILES=true to upload hidden files`
+      }
+    };
+  }
+
+  return { realPath };
+}
+
+// Helper function to resolve an absolute path to its real location like realpathSync, also for paths
+// that don't exist: their deepest existing directory is resolved and the missing rest appended
+function resolveRealPath (absolutePath) {
+  try {
+    return realpathSync(absolutePath);
+  } catch (error) {
+    const parent = dirname(absolutePath);
+    if ((error.code !== 'ENOENT' && error.code !== 'ENOTDIR') || parent === absolutePath) {
+      throw error;
+    }
+    return join(resolveRealPath(parent), basename(absolutePath));
+  }
+}
+
+// Helper function to tell whether a path lies below a directory (both real, absolute paths)
+function isInsideDirectory (directory, filePath) {
+  const relativePath = relative(directory, filePath);
+  return relativePath !== '' && !relativePath.startsWith(`..${sep}`) && relativePath !== '..' && !isAbsolute(relativePath);
+}
+
+// Helper function to read the allowed file root directories from BASEROW_FILE_ROOTS (separated like PATH),
+// resolved to their real paths
+function getFileRoots () {
+  return (process.env.BASEROW_FILE_ROOTS || '').split(delimiter).filter(Boolean).map(root => {
+    try {
+      return realpathSync(resolve(root));
+    } catch (error) {
+      throw new Error(`Invalid file root "${root}" in BASEROW_FILE_ROOTS: ${error.message}`);
+    }
+  });
+}
+
+// Helper function to read the upload size limit in bytes from BASEROW_MAX_UPLOAD_BYTES, or 0 for no limit
+function getMaxUploadSize () {
+  const limit = Number(process.env.BASEROW_MAX_UPLOAD_BYTES || 0);
+  return Number.isFinite(limit) && limit > 0 ? limit : 0;
+}
+
+/**
+ * Upload file content to Baserow's upload-file endpoint as a streamed multipart/form-data body
+ * @param {Function} openContent - Returns an (async) iterable of Buffer chunks with the file content, called once per attempt
+ * @param {number} size - Content size in bytes
+ * @param {string} fileName - File name sent to Baserow
+ * @param {string} mimeType - Content type of the file
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @param {Object} options - Upload options (onProgress, signal)
+ * @returns {Promise<Object>} The uploaded file object returned by Baserow
+ */
+async function uploadFileContent (openContent, size, fileName, mimeType, apiUrl, apiToken, options) {
+  const multipart = createMultipartBody(openContent, size, fileName, mimeType, options.onProgress);
+
+  const uploadResponse = await baserowFetch(`${apiUrl}/api/user-files/upload-file/`, {
+    method: 'POST',
+    headers: {
+      Authorization: await getAuthorization(apiUrl, apiToken, options.signal),
+      ...multipart.headers
+    },
+    body: multipart.body,
+    duplex: 'half',
+    signal: options.signal
+  }, { upload: true });
+
+  if (!uploadResponse.ok) {
+    const errorText = await uploadResponse.text();
+    throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}. ${errorText}`);
+  }
+
+  return uploadResponse.json();
+}
+
+/**
+ * Upload file content unless identical content was uploaded with the same credentials before.
+ * The upload index in BASEROW_UPLOAD_INDEX_FILE maps the SHA-256 of every uploaded file to the name
+ * Baserow stored it under, so re-running an import reuses the stored files instead of uploading them again.
+ * @param {Function} openContent - Returns an (async) iterable of Buffer chunks; called once more to hash the content
+ * @param {number} size - Content size in bytes
+ * @param {string} fileName - File name sent to Baserow
+ * @param {string} mimeType - Content type of the file
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @param {Object} options - Upload options (dedupe, onProgress, signal); `dedupe: false` always uploads
+ * @returns {Promise<Object>} `{ uploadResult, reused }` where reused is true when the earlier upload was returned
+ */
+async function uploadFileContentOnce (openContent, size, fileName, mimeType, apiUrl, apiToken, options) {
+  const indexPath = process.env.BASEROW_UPLOAD_INDEX_FILE;
+  if (!indexPath || options.dedupe === false) {
+    return { uploadResult: await uploadFileContent(openContent, size, fileName, mimeType, apiUrl, apiToken, options), reused: false };
+  }
+
+  const hash = createHash('sha256');
+  for await (const chunk of openContent()) {
+    hash.update(chunk);
+  }
+  const sha256 = hash.digest('hex');
+
+  const scope = credentialScope(apiUrl, apiToken);
+  const indexed = readUploadIndex(indexPath)[scope]?.[sha256];
+  if (indexed) {
+    return { uploadResult: indexed, reused: true };
+  }
+
+  const uploadResult = await uploadFileContent(openContent, size, fileName, mimeType, apiUrl, apiToken, options);
+  recordUpload(indexPath, scope, sha256, uploadResult);
+  return { uploadResult, reused: false };
+}
+
+// Parsed upload index, reloaded when the file changes
+let uploadIndexCache = null;
+
+// Helper function to read the upload index JSON (`{ "<credentialScope>": { "<sha256>": { name, original_name } } }`),
+// which is empty until the first upload creates the file
+function readUploadIndex (filePath) {
+  let mtimeMs;
+  try {
+    mtimeMs = statSync(filePath).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Cannot read upload index ${filePath}: ${error.message}`);
+  }
+  if (uploadIndexCache?.filePath === filePath && uploadIndexCache.mtimeMs === mtimeMs) {
+    return uploadIndexCache.index;
+  }
+
+  let index;
+  try {
+    index = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid upload index ${filePath}: ${error.message}`);
+  }
+  if (!index || typeof index !== 'object' || Array.isArray(index)) {
+    throw new Error(`Invalid upload index ${filePath}: expected an object keyed by Baserow API URL and credentials`);
+  }
+
+  uploadIndexCache = { filePath, mtimeMs, index };
+  return index;
+}
+
+// Helper function to add an uploaded file to the upload index. Only the names are kept, as the rest of
+// the upload response (such as its URL) goes stale. The file is replaced in one rename, so readers never
+// see a half-written index; the synchronous calls keep concurrent batch uploads from overwriting each
+// other's entries.
+function recordUpload (filePath, scope, sha256, uploadResult) {
+  const current = readUploadIndex(filePath);
+  const file = { name: uploadResult.name, original_name: uploadResult.original_name };
+  const index = { ...current, [scope]: { ...current[scope], [sha256]: file } };
+
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.${randomUUID()}.tmp`);
+  writeFileSync(tempPath, `${JSON.stringify(index, null, 2)}\n`);
+  renameSync(tempPath, filePath);
+
+  uploadIndexCache = { filePath, mtimeMs: statSync(filePath).mtimeMs, index };
+}
+
+/**
+ * Build a streaming multipart/form-data body with a single `file` part, so
+ * large files are sent in chunks instead of being buffered in memory
+ * @param {Function} openContent - Returns an (async) iterable of Buffer chunks with the file content
+ * @param {number} size - Content size in bytes
+ * @param {string} fileName - File name sent to Baserow
+ * @param {string} mimeType - Content type of the file part
+ * @param {Function} onProgress - Optional callback receiving `{ bytesSent, totalBytes }`
+ * @returns {Object} `{ body, headers }` where body is a factory creating a fresh body for each attempt, for baserowFetch with `duplex: 'half'`
+ */
+function createMultipartBody (openContent, size, fileName, mimeType, onProgress) {
+  const boundary = `----BaserowMcpBoundary${randomUUID().replace(/-/g, '')}`;
+  const safeName = fileName.replace(/[\r\n]/g, ' ').replace(/"/g, '%22');
+  const head = Buffer.from(
+    `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="file"; filename="${safeName}"\r\n` +
+    `Content-Type: ${mimeType}\r\n\r\n`
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  async function * chunks () {
+    let bytesSent = 0;
+    yield head;
+    for await (const chunk of openContent()) {
+      bytesSent += chunk.length;
+      if (onProgress) {
+        onProgress({ bytesSent, totalBytes: size });
+      }
+      yield chunk;
+    }
+    yield tail;
+  }
+
+  return {
+    body: chunks,
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': String(head.length + size + tail.length)
+    }
+  };
+}
+
+/**
+ * Resolve where an uploaded file should be written before anything is uploaded
+ * @param {string} tableId - Optional Baserow table ID
+ * @param {string} rowId - Optional row ID to update
+ * @param {string} fieldName - Optional field name or ID
+ * @param {Object} options - Upload options (attachMode, createRow, rowValues, rowMatch, visibleName, signal)
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @returns {Promise<Object|null>} The row target (with `validationError` set when a field can't be resolved), or null when no row should be written
+ */
+async function resolveRowTarget (tableId, rowId, fieldName, options, apiUrl, apiToken) {
+  const { attachMode = 'replace', createRow = false, rowValues = {}, rowMatch } = options;
+
+  if (!tableId || !fieldName || (!rowId && !createRow && !rowMatch)) {
+    return null;
+  }
+
+  const target = { tableId, rowId, fieldName, attachMode, createRow, visibleName: options.visibleName || null, field: null, extraValues: {}, validationError: null };
+
+  // Look up the row by value; failing to find exactly one row stops the upload
+  if (rowMatch) {
+    const match = await findRowByValue(tableId, rowMatch, apiUrl, apiToken, options.signal);
+    if (match.rowId) {
+      target.rowId = match.rowId;
+    } else if (rowMatch.createIfMissing) {
+      target.createRow = true;
+      target.extraValues[`field_${match.field.id}`] = rowMatch.value;
+    } else {
+      throw new Error(`No row in table ${tableId} has ${match.field.name} = "${rowMatch.value}"`);
+    }
+  }
+
+  target.field = await getField(tableId, fieldName, apiUrl, apiToken, options.signal);
+  if (!target.field) {
+    target.validationError = {
+      code: 'field_not_found',
+      field: fieldName,
+      message: `Failed to resolve field "${fieldName}" in table ${tableId}`
+    };
+    return target;
+  }
+
+  if (target.createRow) {
+    for (const [name, value] of Object.entries(rowValues)) {
+      const fieldId = await getFieldId(tableId, name, apiUrl, apiToken, options.signal);
+      if (!fieldId) {
+        target.validationError = {
+          code: 'field_not_found',
+          field: name,
+          message: `Failed to resolve field "${name}" in table ${tableId}`
+        };
+        return target;
+      }
+      target.extraValues[`field_${fieldId}`] = value;
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Write an uploaded file into the resolved row target
+ * @param {Object} target - Row target from resolveRowTarget
+ * @param {Object} uploadResult - The uploaded file object returned by Baserow
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @param {AbortSignal} signal - Optional signal to abort the requests
+ * @param {boolean} reused - Whether an earlier upload was reused, so the field may already hold the file
+ * @returns {Promise<Object>} `{ updated_row }`, `{ created_row }` or `{ unchanged_row }` on success, `{ row_update_error }` otherwise
+ */
+async function writeFileToRow (target, uploadResult, apiUrl, apiToken, signal, reused = false) {
+  const file = toFileFieldEntry(uploadResult, target.visibleName);
+  if (target.createRow) {
+    return createRowWithFile(target.tableId, target.field, file, target.extraValues, apiUrl, apiToken, signal);
+  }
+
+  return attachFileToRow(target.tableId, target.rowId, target.field, file, target.attachMode, apiUrl, apiToken, signal, reused);
+}
+
+// Helper function to build the file field entry of an uploaded file. Baserow only needs the stored name to
+// attach the file, and shows visible_name in the row instead of the hashed name.
+function toFileFieldEntry (uploadResult, visibleName) {
+  return {
+    name: uploadResult.name,
+    visible_name: visibleName || uploadResult.original_name || uploadResult.name
+  };
+}
+
+// Stands in for Baserow's internal file name in dry runs, as Baserow only assigns it when the file is uploaded
+const PLANNED_FILE_NAME = '(assigned on upload)';
+
+/**
+ * Describe the requests an upload would send without sending them, for dry runs
+ * @param {Object} upload - `{ method, endpoint, payload }` of the upload request
+ * @param {Object|null} target - Row target from resolveRowTarget, or null when no row is written
+ * @param {string} fileName - Name the uploaded file would get
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @param {AbortSignal} signal - Optional signal to abort the row read
+ * @returns {Promise<Object>} `{ success: true, dry_run: true, plan: { upload, row? } }`, where row holds the current and new value of the file field
+ */
+async function planUpload (upload, target, fileName, apiUrl, apiToken, signal) {
+  const plan = { upload };
+
+  if (target) {
+    const { tableId, rowId, field } = target;
+    const fieldKey = `field_${field.id}`;
+    const plannedFile = { name: PLANNED_FILE_NAME, visible_name: target.visibleName || fileName };
+
+    if (target.createRow) {
+      const payload = { ...target.extraValues, [fieldKey]: [plannedFile] };
+      plan.row = {
+        method: 'POST',
+        endpoint: `${apiUrl}/api/database/rows/table/${tableId}/`,
+        field: field.name,
+        current: [],
+        new: payload[fieldKey],
+        payload
+      };
+    } else {
+      const currentFiles = await getRowFiles(tableId, rowId, field, apiUrl, apiToken, signal);
+      const newFiles = mergeFileFieldValue(currentFiles, plannedFile, target.attachMode, field.multiple_files !== false);
+      plan.row = {
+        method: 'PATCH',
+        endpoint: `${apiUrl}/api/database/rows/table/${tableId}/${rowId}/`,
+        rowId: String(rowId),
+        field: field.name,
+        current: currentFiles,
+        new: newFiles,
+        payload: { [fieldKey]: newFiles }
+      };
+    }
+  }
+
+  return {
+    success: true,
+    dry_run: true,
+    plan
+  };
+}
+
+/**
+ * Check that a file can be stored in the target field before it is uploaded
+ * @param {Object} target - Row target from resolveRowTarget
+ * @param {string} fileName - Name of the file being uploaded, used to determine its type
+ * @returns {Object|null} A validation error `{ code, field, message }`, or null when the upload may proceed
+ */
+function validateUploadTarget (target, fileName) {
+  if (target.validationError) {
+    return target.validationError;
+  }
+
+  const { field, attachMode } = target;
+  if (field.type !== 'file') {
+    return {
+      code: 'field_not_file',
+      field: field.name,
+      message: `Field "${field.name}" is a ${field.type} field, not a file field`
+    };
+  }
+
+  if (field.multiple_files === false && (attachMode === 'append' || attachMode === 'prepend')) {
+    return {
+      code: 'multiple_files_not_allowed',
+      field: field.name,
+      message: `Field "${field.name}" only accepts a single file, so attachMode "${attachMode}" can't be used`
+    };
+  }
+
+  const allowedTypes = parseFileTypes(field.file_types);
+  const mimeType = guessMimeType(fileName);
+  const extension = getExtension(fileName);
+  // Files without a recognisable name can't be checked here, Baserow has the final say
+  if (allowedTypes.length > 0 && (mimeType || extension) &&
+    !allowedTypes.some(type => matchesFileType(type, mimeType, extension))) {
+    return {
+      code: 'file_type_not_allowed',
+      field: field.name,
+      message: `Field "${field.name}" only accepts ${allowedTypes.join(', ')}, but "${fileName}" is ${mimeType || extension}`
+    };
+  }
+
+  return null;
+}
+
+// Common file extensions and their MIME types, used to check uploads against a field's file_types
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.ico': 'image/x-icon',
+  '.heic': 'image/heic',
+  '.avif': 'image/avif',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.zip': 'application/zip',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska'
+};
+
+// Helper function to get the lower-cased extension (with dot) of a file name, or null
+function getExtension (fileName) {
+  const match = /(\.[a-z0-9]+)$/i.exec(fileName || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Helper function to guess a MIME type from a file name, or null when unknown
+function guessMimeType (fileName) {
+  return MIME_TYPES[getExtension(fileName)] || null;
+}
+
+// Helper function to normalise a field's file_types setting (array or comma separated string) to a list
+function parseFileTypes (fileTypes) {
+  if (!fileTypes) {
+    return [];
+  }
+  const types = Array.isArray(fileTypes) ? fileTypes : String(fileTypes).split(',');
+  return types.map(type => String(type).trim().toLowerCase()).filter(Boolean);
+}
+
+// Helper function to match a file against one allowed type: "image/*", "application/pdf", ".pdf" or "pdf"
+function matchesFileType (allowedType, mimeType, extension) {
+  if (allowedType.includes('/')) {
+    if (!mimeType) {
+      return false;
+    }
+    return allowedType.endsWith('/*')
+      ? mimeType.startsWith(allowedType.slice(0, -1))
+      : mimeType === allowedType;
+  }
+  return extension === (allowedType.startsWith('.') ? allowedType : `.${allowedType}`);
+}
+
+/**
+ * Combine an uploaded file with the files already stored in a file field
+ * @param {Array<Object>} currentFiles - Files currently stored in the field
+ * @param {Object} uploadedFile - File field entry of the newly uploaded file
+ * @param {string} attachMode - One of ATTACH_MODES
+ * @param {boolean} multipleFiles - Whether the field accepts more than one file
+ * @returns {Array<Object>} New value for the file field
+ */
+function mergeFileFieldValue (currentFiles, uploadedFile, attachMode, multipleFiles) {
+  if (attachMode === 'replace' || !multipleFiles) {
+    return [uploadedFile];
+  }
+
+  const existing = Array.isArray(currentFiles) ? currentFiles : [];
+
+  if (attachMode === 'append') {
+    return [...existing, uploadedFile];
+  }
+  if (attachMode === 'prepend') {
+    return [uploadedFile, ...existing];
+  }
+
+  // replace_by_name: swap out files with the same name in place, or append when none match
+  const uploadedName = uploadedFile.original_name || uploadedFile.visible_name || uploadedFile.name;
+  const matches = file => file.visible_name === uploadedName || file.original_name === uploadedName;
+  const index = existing.findIndex(matches);
+  if (index === -1) {
+    return [...existing, uploadedFile];
+  }
+  const merged = existing.filter(file => !matches(file));
+  merged.splice(index, 0, uploadedFile);
+  return merged;
+}
+
+/**
+ * Write an uploaded file into a row's file field according to the attach mode
+ * @param {string} tableId - Baserow table ID
+ * @param {string} rowId - Row ID to update
+ * @param {Object} field - The resolved field object
+ * @param {Object} file - File field entry of the uploaded file, `{ name, visible_name }`
+ * @param {string} attachMode - One of ATTACH_MODES
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @param {AbortSignal} signal - Optional signal to abort the requests
+ * @param {boolean} reused - Whether an earlier upload was reused; the row is then read in every mode, to see if it holds the file already
+ * @returns {Promise<Object>} `{ updated_row }` on success, `{ unchanged_row }` when the field already holds the file, `{ row_update_error }` otherwise
+ */
+async function attachFileToRow (tableId, rowId, field, file, attachMode, apiUrl, apiToken, signal, reused = false) {
+  const fieldKey = `field_${field.id}`;
+  // Only fields that explicitly report multiple_files: false are limited to one file
+  const multipleFiles = field.multiple_files !== false;
+  const replacing = attachMode === 'replace' || !multipleFiles;
+
+  let currentFiles = [];
+  if (!replacing || reused) {
+    const rowResponse = await baserowFetch(`${apiUrl}/api/database/rows/table/${tableId}/${rowId}/`, {
+      method: 'GET',
+      headers: {
+        Authorization: await getAuthorization(apiUrl, apiToken, signal),
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+
+    if (!rowResponse.ok) {
+      const errorText = await rowResponse.text();
+      console.warn(`Row read failed: ${rowResponse.status} ${rowResponse.statusText}. ${errorText}`);
+      return {
+        row_update_error: `Failed to read row: ${rowResponse.status} ${rowResponse.statusText}`
+      };
+    }
+
+    const row = await rowResponse.json();
+    currentFiles = row[fieldKey] || [];
+
+    // Skip the write when the field already holds the file, or holds only it when replacing
+    const holdsFile = replacing
+      ? currentFiles.length === 1 && currentFiles[0].name === file.name
+      : currentFiles.some(current => current.name === file.name);
+    if (holdsFile) {
+      return {
+        unchanged_row: row
+      };
+    }
+  }
+
+  const files = mergeFileFieldValue(currentFiles, file, attachMode, multipleFiles);
+  // Return upload result even if row update fails
+  return updateRowFiles(tableId, rowId, field, files, apiUrl, apiToken, signal);
+}
+
+// Helper function to write the complete list of files of a row's file field with a single PATCH,
+// returning `{ updated_row }` on success and `{ row_update_error }` otherwise
+async function updateRowFiles (tableId, rowId, field, files, apiUrl, apiToken, signal) {
+  const updateResponse = await baserowFetch(`${apiUrl}/api/database/rows/table/${tableId}/${rowId}/`, {
+    method: 'PATCH',
+    headers: {
+      Authorization: await getAuthorization(apiUrl, apiToken, signal),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ [`field_${field.id}`]: files }),
+    signal
+  });
+
+  if (!updateResponse.ok) {
+    const errorText = await updateResponse.text();
+    console.warn(`Row update failed: ${updateResponse.status} ${updateResponse.statusText}. ${errorText}`);
+    return {
+      row_update_error: `Failed to update row: ${updateResponse.status} ${updateResponse.statusText}`
+    };
+  }
+
+  return {
+    updated_row: await updateResponse.json()
+  };
+}
+
+/**
+ * Create a new row holding an uploaded file plus extra field values
+ * @param {string} tableId - Baserow table ID
+ * @param {Object} field - The resolved file field object
+ * @param {Object} file - File field entry of the uploaded file, `{ name, visible_name }`
+ * @param {Object} extraValues - Additional row values keyed by field_ID
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @param {AbortSignal} signal - Optional signal to abort the requests
+ * @returns {Promise<Object>} `{ created_row }` on success, `{ row_update_error }` otherwise
+ */
+async function createRowWithFile (tableId, field, file, extraValues, apiUrl, apiToken, signal) {
+  const createPayload = {
+    ...extraValues,
+    [`field_${field.id}`]: [file]
+  };
+
+  const createResponse = await baserowFetch(`${apiUrl}/api/database/rows/table/${tableId}/`, {
+    method: 'POST',
+    headers: {
+      Authorization: await getAuthorization(apiUrl, apiToken, signal),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(createPayload),
+    signal
+  });
+
+  if (!createResponse.ok) {
+    const errorText = await createResponse.text();
+    console.warn(`Row creation failed: ${createResponse.status} ${createResponse.statusText}. ${errorText}`);
+    // Return upload result even if row creation fails
+    return {
+      row_update_error: `Failed to create row: ${createResponse.status} ${createResponse.statusText}`
+    };
+  }
+
+  return {
+    created_row: await createResponse.json()
+  };
+}
+
+/**
+ * Upload many files/URLs in one call, optionally updating a row for each
+ * @param {Array<Object>} items - Items with either `url` or `filePath`, plus optional filename/tableId/rowId/fieldName/attachMode/createRow/rowValues/rowMatch
+ * @param {Object} options - Optional settings
+ * @param {string} options.tableId - Default table ID for items that don't set one
+ * @param {string} options.fieldName - Default field name for items that don't set one
+ * @param {string} options.attachMode - Default attach mode for items that don't set one
+ * @param {number} options.concurrency - Maximum number of uploads running at once (default: 4)
+ * @param {string} options.profile - Baserow profile all items are uploaded to (default: the default profile)
+ * @param {string} options.fetchMode - How URL items are fetched, 'baserow' or 'local' (default: BASEROW_URL_FETCH_MODE or 'baserow')
+ * @param {Object} options.imageProcessing - Resize, convert or strip the metadata of every image before uploading it, see processImage
+ * @param {boolean} options.dedupe - Set to false to upload every item even when the upload index holds identical content
+ * @param {Map<number, Object>} options.refusedItems - Validation errors of items refused by the safety policy, keyed by item index; these items are not uploaded
+ * @param {boolean} options.dryRun - Check every item but upload nothing; items that would be uploaded get status 'planned' and their planned requests
+ * @param {Function} options.onProgress - Called with `{ completed, total }` after each item
+ * @param {AbortSignal} options.signal - Optional signal to cancel the batch; items not yet started are marked failed
+ * @returns {Promise<Object>} Per-item results and a summary
+ */
+async function uploadBatch (items, options = {}) {
+  const { concurrency = 4 } = options;
+  const profile = resolveProfile(options.profile);
+
+  const jobs = items.map((item, index) => ({
+    index,
+    source: item.url || item.filePath,
+    url: item.url,
+    filePath: item.filePath,
+    filename: item.filename,
+    visibleName: item.visibleName,
+    ...applyBatchDefaults(item, options),
+    rowId: item.rowId,
+    createRow: item.createRow,
+    rowValues: item.rowValues,
+    rowMatch: item.rowMatch,
+    fetchMode: options.fetchMode,
+    imageProcessing: options.imageProcessing,
+    dedupe: options.dedupe,
+    dryRun: options.dryRun,
+    profile: profile.name
+  }));
+
+  // Items writing to the same row field run one after another so that
+  // append/prepend read-modify-write cycles don't overwrite each other
+  const lanes = new Map();
+  for (const job of jobs) {
+    const rowKey = job.rowId || (job.rowMatch && `match:${job.rowMatch.field || ''}=${job.rowMatch.value}`);
+    const key = job.tableId && rowKey && job.fieldName
+      ? `${job.tableId}/${rowKey}/${job.fieldName}`
+      : `item/${job.index}`;
+    if (!lanes.has(key)) {
+      lanes.set(key, []);
+    }
+    lanes.get(key).push(job);
+  }
+
+  const results = new Array(jobs.length);
+  let completed = 0;
+  await mapWithConcurrency([...lanes.values()], concurrency, async (lane) => {
+    const laneError = options.signal?.aborted ? null : await validateBatchLane(lane, profile, options.signal);
+    for (const job of lane) {
+      const jobError = options.refusedItems?.get(job.index) || laneError;
+      results[job.index] = jobError
+        ? { index: job.index, source: job.source, tableId: job.tableId, rowId: job.rowId, fieldName: job.fieldName, status: 'failed', error: jobError.message, validation_error: jobError }
+        : await runBatchJob(job, options.signal);
+      completed++;
+      if (options.onProgress) {
+        options.onProgress({ completed, total: jobs.length });
+      }
+    }
+  });
+
+  const summary = {
+    total: results.length,
+    succeeded: results.filter(r => r.status !== 'failed').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    rowUpdated: results.filter(r => r.updated_row).length,
+    rowCreated: results.filter(r => r.created_row).length,
+    rowUpdateErrors: results.filter(r => r.status === 'row_update_failed').length
+  };
+
+  return {
+    success: summary.failed === 0 && summary.rowUpdateErrors === 0,
+    results,
+    summary,
+    message: options.dryRun
+      ? `Dry run: ${summary.succeeded} of ${summary.total} files would be uploaded (${summary.failed} would fail); nothing was uploaded`
+      : `Uploaded ${summary.succeeded} of ${summary.total} files (${summary.failed} failed, ${summary.rowUpdateErrors} row update errors)`
+  };
+}
+
+// Helper function to refuse batch lanes that would put several files into a single-file field
+async function validateBatchLane (lane, profile, signal) {
+  const [first] = lane;
+  if (lane.length < 2 || !first.tableId || !first.fieldName || first.createRow || checkTableAllowed(profile, first.tableId)) {
+    return null;
+  }
+
+  const field = await getField(first.tableId, first.fieldName, profile.apiUrl, profile.credentials, signal);
+  if (field?.multiple_files !== false) {
+    return null;
+  }
+
+  return {
+    code: 'multiple_files_not_allowed',
+    field: field.name,
+    message: `${lane.length} items target field "${field.name}" of the same row, but it only accepts a single file`
+  };
+}
+
+// Helper function to tell whether a batch item writes to a row
+function hasRowTarget (item) {
+  return Boolean(item.rowId || item.createRow || item.rowMatch);
+}
+
+// Helper function to fill in the batch-wide tableId, fieldName and attachMode of a batch item
+function applyBatchDefaults (item, defaults) {
+  return {
+    tableId: item.tableId || (hasRowTarget(item) ? defaults.tableId : undefined),
+    fieldName: item.fieldName || (hasRowTarget(item) ? defaults.fieldName : undefined),
+    attachMode: item.attachMode || defaults.attachMode
+  };
+}
+
+// Helper function to run a single batch item and capture its outcome instead of throwing
+async function runBatchJob (job, signal) {
+  const { index, source, url, filePath, filename, visibleName, tableId, rowId, fieldName, attachMode, createRow, rowValues, rowMatch, fetchMode, imageProcessing, dedupe, dryRun, profile } = job;
+  const base = { index, source, tableId, rowId, fieldName };
+
+  if (signal?.aborted) {
+    return {
+      ...base,
+      status: 'failed',
+      error: 'Cancelled before upload'
+    };
+  }
+
+  const targetError = validateRowTargetArgs(tableId, rowId, fieldName, createRow, rowMatch);
+  if (targetError) {
+    return {
+      ...base,
+      status: 'failed',
+      error: targetError
+    };
+  }
+
+  try {
+    const uploadOptions = { attachMode, createRow, rowValues, rowMatch, visibleName, fetchMode, imageProcessing, dedupe, dryRun, profile, signal };
+    const result = url
+      ? await uploadImageUrl(url, filename, tableId, rowId, fieldName, uploadOptions)
+      : await uploadFile(filePath, filename, tableId, rowId, fieldName, uploadOptions);
+
+    if (result.validation_error) {
+      return {
+        ...base,
+        status: 'failed',
+        error: result.validation_error.message,
+        validation_error: result.validation_error
+      };
+    }
+
+    if (result.dry_run) {
+      return {
+        ...base,
+        status: 'planned',
+        plan: result.plan,
+        ...(result.image_processing && { image_processing: result.image_processing })
+      };
+    }
+
+    return {
+      ...base,
+      status: result.row_update_error ? 'row_update_failed' : 'uploaded',
+      uploaded_file: result.uploaded_file,
+      ...(result.reused_upload && { reused_upload: true }),
+      ...(result.image_processing && { image_processing: result.image_processing }),
+      ...(result.updated_row && { updated_row: result.updated_row }),
+      ...(result.created_row && { created_row: result.created_row }),
+      ...(result.unchanged_row && { unchanged_row: result.unchanged_row }),
+      ...(result.row_update_error && { row_update_error: result.row_update_error })
+    };
+  } catch (error) {
+    return {
+      ...base,
+      status: 'failed',
+      error: error.message
+    };
+  }
+}
+
+// Helper function to get the file name part of a URL path, or null when it has none
+function getUrlFilename (url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    return name || null;
+  } catch {
+    return null;
+  }
+}
+
+// Most files a single upload_directory call uploads, the same as the upload_batch item limit
+const MAX_DIRECTORY_FILES = 500;
+
+/**
+ * Upload the files of a local directory into the rows of a table. Each file is mapped to a row by its
+ * name (stem or full name, optionally narrowed by valuePattern, matched against matchField) or by a CSV
+ * manifest, and the planned files are uploaded like the items of an upload_batch call.
+ * @param {string} directory - Local directory to upload files from
+ * @param {Object} options - Upload settings
+ * @param {string} options.tableId - Table whose rows the files are attached to
+ * @param {string} options.fieldName - File field name or ID the files are attached to
+ * @param {Array<string>} options.include - Glob patterns of the files to upload (default: every file)
+ * @param {Array<string>} options.exclude - Glob patterns of files to leave out
+ * @param {string} options.matchField - Field matched against the value of each file (default: the primary field)
+ * @param {string} options.matchBy - Match the file name without extension ('stem', default) or the full name ('filename')
+ * @param {string} options.valuePattern - Regular expression whose first capture group (or whole match) is the value to match
+ * @param {string} options.manifest - CSV file mapping files to a rowId or value instead of their names
+ * @param {boolean} options.createIfMissing - Create a row when no row matches the value of a file
+ * @param {string} options.attachMode - How to combine each upload with existing files (default: 'replace')
+ * @param {number} options.concurrency - Maximum number of uploads running at once (default: 4)
+ * @param {Object} options.imageProcessing - Resize, convert or strip the metadata of every image before uploading it, see processImage
+ * @param {boolean} options.dedupe - Set to false to upload every file even when the upload index holds identical content
+ * @param {boolean} options.dryRun - Only resolve the row of each file and return the planned mapping
+ * @param {string} options.profile - Baserow profile to upload to (default: the default profile)
+ * @param {Array<string>} options.fileRoots - Directories files may be read from (default: BASEROW_FILE_ROOTS, anywhere when unset)
+ * @param {Object} options.plan - Result of planDirectoryUpload to use instead of walking the directory again
+ * @param {Map<number, Object>} options.refusedItems - Validation errors of planned files refused by the safety policy, keyed by their index in the plan
+ * @param {Function} options.onProgress - Called with `{ completed, total }` after each file
+ * @param {AbortSignal} options.signal - Optional signal to cancel the uploads
+ * @returns {Promise<Object>} Batch results (or the planned mapping for dry runs) and the skipped files, or `{ success: false, validation_error }` when the directory is refused
+ */
+async function uploadDirectory (directory, options = {}) {
+  const plan = options.plan || planDirectoryUpload(directory, options);
+  if (plan.validationError) {
+    return {
+      success: false,
+      validation_error: plan.validationError
+    };
+  }
+
+  if (options.dryRun) {
+    return previewDirectoryUpload(plan, options);
+  }
+
+  const { tableId, fieldName, attachMode, concurrency, imageProcessing, dedupe, profile, refusedItems, onProgress, signal } = options;
+  const result = await uploadBatch(plan.items, { tableId, fieldName, attachMode, concurrency, imageProcessing, dedupe, profile, refusedItems, onProgress, signal });
+
+  return {
+    success: result.success,
+    directory: plan.directory,
+    results: result.results,
+    summary: result.summary,
+    skipped: plan.skipped,
+    message: `${result.message} from ${plan.directory}${plan.skipped.length ? `, skipped ${plan.skipped.length}` : ''}`
+  };
+}
+
+/**
+ * Plan a directory upload without calling Baserow: list the files selected by the include and exclude
+ * patterns and map each of them to a row target
+ * @param {string} directory - Local directory to upload files from
+ * @param {Object} options - The mapping options of uploadDirectory (include, exclude, matchField, matchBy, valuePattern, manifest, createIfMissing, fileRoots)
+ * @returns {Object} `{ directory, items, skipped }` where items are upload_batch items with their `file` path relative to the directory, or `{ validationError }` when the directory or manifest is refused
+ */
+function planDirectoryUpload (directory, options = {}) {
+  const { include = ['**'], exclude = [], matchField, matchBy = 'stem', valuePattern, manifest, createIfMissing = false } = options;
+  const fileRoots = options.fileRoots ?? getFileRoots();
+
+  const sandbox = checkFileSandbox(directory, fileRoots, 'Directory');
+  if (sandbox.validationError) {
+    return { validationError: sandbox.validationError };
+  }
+  const root = sandbox.realPath;
+  if (!statSync(root, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new Error(`Directory not found: ${directory}`);
+  }
+
+  let manifestEntries = null;
+  let manifestPath = null;
+  if (manifest) {
+    const manifestSandbox = checkFileSandbox(resolve(root, manifest), fileRoots);
+    if (manifestSandbox.validationError) {
+      return { validationError: manifestSandbox.validationError };
+    }
+    manifestPath = manifestSandbox.realPath;
+    if (!statSync(manifestPath, { throwIfNoEntry: false })?.isFile()) {
+      throw new Error(`Manifest not found: ${manifest}`);
+    }
+    manifestEntries = readManifest(manifestPath);
+  }
+
+  let pattern = null;
+  if (valuePattern) {
+    try {
+      pattern = new RegExp(valuePattern);
+    } catch (error) {
+      throw new Error(`Invalid valuePattern: ${error.message}`);
+    }
+  }
+
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+  const files = listDirectoryFiles(root).filter(file =>
+    join(root, file) !== manifestPath &&
+    includePatterns.some(regexp => regexp.test(file)) &&
+    !excludePatterns.some(regexp => regexp.test(file)));
+
+  const items = [];
+  const skipped = [];
+  const listedFiles = new Set();
+  for (const file of files) {
+    const item = { file, filePath: join(root, file) };
+
+    if (manifestEntries) {
+      const entry = manifestEntries.get(file) || manifestEntries.get(basename(file));
+      if (!entry) {
+        skipped.push({ file, reason: 'Not listed in the manifest' });
+        continue;
+      }
+      listedFiles.add(entry.file);
+      if (entry.rowId) {
+        item.rowId = entry.rowId;
+      } else {
+        item.rowMatch = { ...(matchField && { field: matchField }), value: entry.value, createIfMissing };
+      }
+    } else {
+      const name = basename(file);
+      const text = matchBy === 'filename' ? name : basename(name, extname(name));
+      let value = text;
+      if (pattern) {
+        const match = pattern.exec(text);
+        if (!match) {
+          skipped.push({ file, reason: `"${text}" does not match valuePattern` });
+          continue;
+        }
+        value = match[1] ?? match[0];
+      }
+      if (!value) {
+        skipped.push({ file, reason: 'No value to match rows on' });
+        continue;
+      }
+      item.rowMatch = { ...(matchField && { field: matchField }), value, createIfMissing };
+    }
+
+    items.push(item);
+  }
+
+  for (const entry of manifestEntries?.values() || []) {
+    if (!listedFiles.has(entry.file)) {
+      skipped.push({ file: entry.file, reason: 'Listed in the manifest but not found in the directory' });
+    }
+  }
+
+  if (items.length > MAX_DIRECTORY_FILES) {
+    return {
+      validationError: {
+        code: 'too_many_files',
+        message: `${items.length} files of ${root} would be uploaded, but a single call uploads at most ${MAX_DIRECTORY_FILES}; narrow the include patterns`
+      }
+    };
+  }
+
+  return { directory: root, items, skipped };
+}
+
+// Helper function to dry-run the planned files of a directory upload, reporting the row each file would go to
+async function previewDirectoryUpload (plan, options) {
+  const { tableId, fieldName, attachMode, concurrency, imageProcessing, profile, refusedItems, onProgress, signal } = options;
+  const result = await uploadBatch(plan.items, { tableId, fieldName, attachMode, concurrency, imageProcessing, profile, refusedItems, onProgress, signal, dryRun: true });
+
+  const planned = result.results.map((item, index) => {
+    const { file, rowId, rowMatch } = plan.items[index];
+    const entry = { file, ...(rowMatch && { value: String(rowMatch.value) }) };
+
+    if (item.status === 'failed') {
+      return {
+        ...entry,
+        ...(rowId && { rowId }),
+        action: 'skip',
+        error: item.error,
+        ...(item.validation_error && { validation_error: item.validation_error })
+      };
+    }
+
+    const { row } = item.plan;
+    const processing = item.image_processing && { image_processing: item.image_processing };
+    return row.method === 'POST'
+      ? { ...entry, action: 'create_row', plan: item.plan, ...processing }
+      : { ...entry, rowId: row.rowId, action: 'update_row', plan: item.plan, ...processing };
+  });
+
+  const count = (action) => planned.filter(entry => entry.action === action).length;
+  const failed = count('skip');
+  return {
+    success: failed === 0,
+    directory: plan.directory,
+    dryRun: true,
+    planned,
+    skipped: plan.skipped,
+    message: `Dry run of ${planned.length} files from ${plan.directory}: ${count('update_row')} would update rows, ${count('create_row')} would create rows, ${failed} can't be attached${plan.skipped.length ? `, skipped ${plan.skipped.length}` : ''}; nothing was uploaded`
+  };
+}
+
+// Helper function to list the files below a directory as sorted relative paths with / separators,
+// leaving out hidden files and directories unless BASEROW_ALLOW_HIDDEN_FILES is set
+function listDirectoryFiles (root) {
+  const allowHidden = readBooleanEnv('BASEROW_ALLOW_HIDDEN_FILES');
+  const files = [];
+
+  const visit = (directory, prefix) => {
+    const entries = readdirSync(directory, { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') && !allowHidden) {
+        continue;
+      }
+      const relativePath = prefix + entry.name;
+      const fullPath = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        visit(fullPath, `${relativePath}/`);
+      } else if (entry.isFile() || (entry.isSymbolicLink() && statSync(fullPath, { throwIfNoEntry: false })?.isFile())) {
+        // Symlinked directories aren't followed, which also rules out cycles; symlinked files are
+        // checked against the file roots when they are uploaded
+        files.push(relativePath);
+      }
+    }
+  };
+
+  visit(root, '');
+  return files;
+}
+
+// Helper function to turn a glob pattern into a case-insensitive regular expression for relative paths:
+// `*` and `?` stay within a directory, `**` spans directories, `{a,b}` matches either alternative and
+// patterns without a / match the file name at any depth
+function globToRegExp (pattern) {
+  const escape = (text) => text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escape).join('|')})`;
+      i = end;
+    } else {
+      source += escape(char);
+    }
+  }
+  return new RegExp(`^${pattern.includes('/') ? '' : '(?:.*/)?'}${source}$`, 'i');
+}
+
+// Helper function to read a CSV manifest into a map from file path to `{ file, rowId }` or `{ file, value }`
+function readManifest (manifestPath) {
+  const [header = [], ...rows] = parseCsv(readFileSync(manifestPath, 'utf8').replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  const fileColumn = columns.indexOf('file');
+  const rowIdColumn = columns.indexOf('rowid');
+  const valueColumn = columns.indexOf('value');
+  if (fileColumn === -1 || (rowIdColumn === -1 && valueColumn === -1)) {
+    throw new Error(`Manifest ${manifestPath} needs a header row with a "file" column and a "rowId" or "value" column`);
+  }
+
+  const entries = new Map();
+  rows.forEach((cells, index) => {
+    const cell = (column) => (column === -1 ? '' : (cells[column] || '').trim());
+    const file = cell(fileColumn).replace(/\\/g, '/').replace(/^\.\//, '');
+    const rowId = cell(rowIdColumn);
+    const value = cell(valueColumn);
+    if (!file || !(rowId || value)) {
+      throw new Error(`Manifest ${manifestPath} row ${index + 1} needs a file and a rowId or value`);
+    }
+    if (rowId && !/^\d+$/.test(rowId)) {
+      throw new Error(`Manifest ${manifestPath} row ${index + 1} has an invalid rowId "${rowId}"`);
+    }
+    if (entries.has(file)) {
+      throw new Error(`Manifest ${manifestPath} lists "${file}" more than once`);
+    }
+    entries.set(file, rowId ? { file, rowId } : { file, value });
+  });
+  return entries;
+}
+
+// Helper function to parse CSV text (comma separated, double-quoted cells with "" escapes) into rows of cells,
+// leaving out blank lines
+function parseCsv (text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Download the files stored in a file field of one or more rows into a local directory
+ * @param {string} tableId - Baserow table ID
+ * @param {Array<string>} rowIds - IDs of the rows whose files are downloaded
+ * @param {string} fieldName - File field name or ID
+ * @param {string} directory - Existing local directory the files are written to
+ * @param {Object} options - Optional settings
+ * @param {string} options.naming - Name local files by their 'visible_name' (default) or by Baserow's unique stored 'name'
+ * @param {boolean} options.groupByRow - Write the files of each row into a subdirectory named after the row ID
+ * @param {boolean} options.overwrite - Replace existing local files instead of numbering the new file's name
+ * @param {number} options.concurrency - Maximum number of downloads running at once (default: 4)
+ * @param {string} options.profile - Baserow profile to download from (default: the default profile)
+ * @param {Array<string>} options.fileRoots - Directories files may be written to (default: BASEROW_FILE_ROOTS, anywhere when unset)
+ * @param {Function} options.onProgress - Called with `{ completed, total }` after each file
+ * @param {AbortSignal} options.signal - Optional signal to abort the downloads
+ * @returns {Promise<Object>} The written files with their paths and SHA-256 checksums, plus the rows and files that failed, or `{ success: false, validation_error }` when the directory, table or field is refused
+ */
+async function downloadFiles (tableId, rowIds, fieldName, directory, options = {}) {
+  const { naming = 'visible_name', groupByRow = false, overwrite = false, concurrency = 4, signal } = options;
+  const profile = resolveProfile(options.profile);
+
+  try {
+    // Only write inside the sandbox, the same one uploads read from
+    const sandbox = checkFileSandbox(directory, options.fileRoots ?? getFileRoots(), 'Directory');
+    if (sandbox.validationError) {
+      return {
+        success: false,
+        validation_error: sandbox.validationError
+      };
+    }
+
+    if (!statSync(sandbox.realPath, { throwIfNoEntry: false })?.isDirectory()) {
+      throw new Error(`Directory not found: ${directory}`);
+    }
+
+    const tableError = checkTableAllowed(profile, tableId);
+    if (tableError) {
+      return {
+        success: false,
+        validation_error: tableError
+      };
+    }
+
+    const field = await getField(tableId, fieldName, profile.apiUrl, profile.credentials, signal);
+    const fieldError = checkFileField(field, fieldName, tableId);
+    if (fieldError) {
+      return {
+        success: false,
+        validation_error: fieldError
+      };
+    }
+
+    const errors = [];
+    const rowFiles = await mapWithConcurrency(rowIds, concurrency, async (rowId) => {
+      try {
+        return await getRowFiles(tableId, rowId, field, profile.apiUrl, profile.credentials, signal);
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        errors.push({ rowId, error: error.message });
+        return [];
+      }
+    });
+
+    // Pick every local path up front, so files sharing a name don't overwrite each other
+    const reservedPaths = new Set();
+    const downloads = rowIds.flatMap((rowId, index) => {
+      const rowDirectory = groupByRow ? join(sandbox.realPath, toLocalFileName(rowId)) : sandbox.realPath;
+      return rowFiles[index].map(file => ({
+        rowId,
+        file,
+        path: reserveDownloadPath(rowDirectory, toLocalFileName(file[naming] || file.name), reservedPaths, overwrite)
+      }));
+    });
+
+    let completed = 0;
+    const files = await mapWithConcurrency(downloads, concurrency, async ({ rowId, file, path }) => {
+      try {
+        // Baserow returns absolute file URLs, but self-hosted media may be served relative to the API
+        const url = new URL(file.url, profile.apiUrl).href;
+        const { size, sha256 } = await saveUrlToFile(url, path, signal);
+        return { rowId, name: file.name, visible_name: file.visible_name, path, size, sha256 };
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        errors.push({ rowId, name: file.name, error: error.message });
+        return null;
+      } finally {
+        completed++;
+        if (options.onProgress) {
+          options.onProgress({ completed, total: downloads.length });
+        }
+      }
+    });
+
+    const written = files.filter(Boolean);
+    return {
+      success: errors.length === 0,
+      directory: sandbox.realPath,
+      files: written,
+      errors,
+      message: `Downloaded ${written.length} of ${downloads.length} files from ${rowIds.length} row(s) to ${sandbox.realPath}${errors.length ? ` (${errors.length} errors)` : ''}`
+    };
+  } catch (error) {
+    throw new Error(`Download failed: ${error.message}`);
+  }
+}
+
+// Helper function to turn a Baserow file name into a local file name without directories, control
+// characters or leading dots, so a download can't leave the target directory or create hidden files
+function toLocalFileName (name) {
+  const safeName = [...String(name ?? '')]
+    .map(char => (char.charCodeAt(0) < 32 || '<>:"/\\|?*'.includes(char) ? '_' : char))
+    .join('')
+    .replace(/^[.\s]+/, '')
+    .trim();
+  return safeName || 'file';
+}
+
+// Helper function to pick a free local path for a download, numbering the name ("invoice (2).pdf") when
+// another file of the same call took it, or when it exists on disk and isn't to be overwritten
+function reserveDownloadPath (directory, fileName, reservedPaths, overwrite) {
+  const extension = extname(fileName);
+  const stem = basename(fileName, extension);
+  for (let number = 1; ; number++) {
+    const candidate = join(directory, number === 1 ? fileName : `${stem} (${number})${extension}`);
+    if (!reservedPaths.has(candidate) && (overwrite || !statSync(candidate, { throwIfNoEntry: false }))) {
+      reservedPaths.add(candidate);
+      return candidate;
+    }
+  }
+}
+
+// Helper function to stream a URL into a local file, returning its size and SHA-256 checksum. The content
+// goes to a temporary file first, so failed downloads never leave partial files behind.
+async function saveUrlToFile (url, filePath, signal) {
+  const response = await baserowFetch(url, { method: 'GET', signal }, { upload: true });
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.${randomUUID()}.part`);
+  const hash = createHash('sha256');
+  let size = 0;
+  const handle = await open(tempPath, 'w');
+  try {
+    for await (const chunk of response.body) {
+      const buffer = Buffer.from(chunk);
+      hash.update(buffer);
+      size += buffer.length;
+      await handle.write(buffer);
+    }
+    await handle.close();
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await handle.close().catch(() => {});
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+
+  return { size, sha256: hash.digest('hex') };
+}
+
+/**
+ * List the files of a row's file field, or remove, reorder or rename them
+ * @param {string} tableId - Baserow table ID
+ * @param {string} rowId - Row whose file field is managed
+ * @param {string} fieldName - File field name or ID
+ * @param {Object} options - Optional settings
+ * @param {string} options.action - One of FILE_FIELD_ACTIONS (default: 'list')
+ * @param {Array<number|string>} options.files - Files to act on, each by 0-based position or by name or visible_name: the files to remove, the files to move to the front in their new order, or the one file to rename
+ * @param {string} options.visibleName - New visible name of the renamed file
+ * @param {string} options.profile - Baserow profile of the table (default: the default profile)
+ * @param {AbortSignal} options.signal - Optional signal to abort the requests
+ * @returns {Promise<Object>} The files the field holds (and held before a change) plus the updated row, or `{ success: false, validation_error }` when the table, field or a file is refused
+ */
+async function manageFileField (tableId, rowId, fieldName, options = {}) {
+  const { action = 'list', files: selectors = [], visibleName, signal } = options;
+  const profile = resolveProfile(options.profile);
+
+  try {
+    if (!FILE_FIELD_ACTIONS.includes(action)) {
+      throw new Error(`Unknown action "${action}", expected one of ${FILE_FIELD_ACTIONS.join(', ')}`);
+    }
+    if (action !== 'list' && selectors.length === 0) {
+      throw new Error(`Action "${action}" needs the files to act on`);
+    }
+    if (action === 'rename' && (selectors.length !== 1 || !visibleName)) {
+      throw new Error('Action "rename" needs exactly one file and a visibleName');
+    }
+
+    const tableError = checkTableAllowed(profile, tableId);
+    if (tableError) {
+      return {
+        success: false,
+        validation_error: tableError
+      };
+    }
+
+    const field = await getField(tableId, fieldName, profile.apiUrl, profile.credentials, signal);
+    const fieldError = checkFileField(field, fieldName, tableId);
+    if (fieldError) {
+      return {
+        success: false,
+        validation_error: fieldError
+      };
+    }
+
+    const currentFiles = await getRowFiles(tableId, rowId, field, profile.apiUrl, profile.credentials, signal);
+    const location = `field "${field.name}" of row ${rowId} in table ${tableId}`;
+    if (action === 'list') {
+      return {
+        success: true,
+        rowId,
+        field: field.name,
+        files: currentFiles,
+        message: `The ${location} holds ${currentFiles.length} file(s)`
+      };
+    }
+
+    // Resolve every selector before changing anything, so one unknown file leaves the field untouched
+    const indexes = [];
+    for (const selector of selectors) {
+      const match = findFileIndex(currentFiles, selector, field);
+      if (match.validationError) {
+        return {
+          success: false,
+          validation_error: match.validationError
+        };
+      }
+      if (!indexes.includes(match.index)) {
+        indexes.push(match.index);
+      }
+    }
+
+    let files;
+    let message;
+    if (action === 'remove') {
+      files = currentFiles.filter((file, index) => !indexes.includes(index));
+      message = `Removed ${indexes.length} file(s) from the ${location}, ${files.length} left`;
+    } else if (action === 'reorder') {
+      files = [...indexes.map(index => currentFiles[index]), ...currentFiles.filter((file, index) => !indexes.includes(index))];
+      message = `Reordered the ${files.length} file(s) of the ${location}`;
+    } else {
+      const renamed = currentFiles[indexes[0]];
+      files = currentFiles.map(file => (file === renamed ? { ...file, visible_name: visibleName } : file));
+      message = `Renamed "${renamed.visible_name || renamed.name}" to "${visibleName}" in the ${location}`;
+    }
+
+    const update = await updateRowFiles(tableId, rowId, field, files, profile.apiUrl, profile.credentials, signal);
+    if (update.row_update_error) {
+      return {
+        success: false,
+        rowId,
+        field: field.name,
+        files: currentFiles,
+        row_update_error: update.row_update_error,
+        message: `The ${location} was not changed: ${update.row_update_error}`
+      };
+    }
+
+    return {
+      success: true,
+      rowId,
+      field: field.name,
+      files: update.updated_row[`field_${field.id}`] || files,
+      previous_files: currentFiles,
+      updated_row: update.updated_row,
+      message
+    };
+  } catch (error) {
+    throw new Error(`File field update failed: ${error.message}`);
+  }
+}
+
+// Helper function to find a file of a file field by its 0-based position, or by its unique stored name or
+// its visible_name, returning `{ index }` or `{ validationError }`
+function findFileIndex (files, selector, field) {
+  if (typeof selector === 'number') {
+    if (Number.isInteger(selector) && selector >= 0 && selector < files.length) {
+      return { index: selector };
+    }
+    return {
+      validationError: {
+        code: 'file_not_found',
+        field: field.name,
+        message: `Field "${field.name}" has no file at position ${selector}, it holds ${files.length} file(s)`
+      }
+    };
+  }
+
+  const byName = files.findIndex(file => file.name === selector);
+  if (byName !== -1) {
+    return { index: byName };
+  }
+  const byVisibleName = files.flatMap((file, index) => (file.visible_name === selector ? [index] : []));
+  if (byVisibleName.length === 1) {
+    return { index: byVisibleName[0] };
+  }
+  return {
+    validationError: byVisibleName.length === 0
+      ? { code: 'file_not_found', field: field.name, message: `Field "${field.name}" has no file named "${selector}"` }
+      : { code: 'ambiguous_file', field: field.name, message: `Field "${field.name}" holds ${byVisibleName.length} files named "${selector}"; select one by its name or position` }
+  };
+}
+
+// Helper function to check that a resolved field exists and is a file field, returning a validation error or null
+function checkFileField (field, fieldName, tableId) {
+  if (!field) {
+    return {
+      code: 'field_not_found',
+      field: fieldName,
+      message: `Failed to resolve field "${fieldName}" in table ${tableId}`
+    };
+  }
+  if (field.type !== 'file') {
+    return {
+      code: 'field_not_file',
+      field: field.name,
+      message: `Field "${field.name}" is a ${field.type} field, not a file field`
+    };
+  }
+  return null;
+}
+
+// Helper function to check that row target arguments are complete, returning an error message or null
+function validateRowTargetArgs (tableId, rowId, fieldName, createRow, rowMatch) {
+  if (rowMatch) {
+    if (!tableId || !fieldName || rowId || createRow) {
+      return 'When rowMatch is given, tableId and fieldName are required and rowId and createRow must be omitted';
+    }
+    return null;
+  }
+
+  if (createRow) {
+    if (!tableId || !fieldName || rowId) {
+      return 'When createRow is true, tableId and fieldName are required and rowId must be omitted';
+    }
+    return null;
+  }
+
+  if ((tableId || rowId || fieldName) && !(tableId && rowId && fieldName)) {
+    return 'If providing table update parameters, tableId, rowId, and fieldName are all required';
+  }
+  return null;
+}
+
+// Helper function to build the tool response for a call that was refused before sending anything,
+// with `outcome` saying what was left undone
+function validationErrorResponse (validationError, outcome = 'Nothing was uploaded.') {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `❌ Validation failed (${validationError.code}): ${validationError.message}. ${outcome}`
+      }
+    ],
+    structuredContent: {
+      success: false,
+      validation_error: validationError
+    },
+    isError: true
+  };
+}
+
+// Helper function to describe the uploaded file and row changes of an upload result for the tool response
+function describeUploadResult (result, tableId, rowId, attachMode) {
+  let message = '';
+  if (result.plan) {
+    message += describePlannedRequests(result.plan, '\n');
+  }
+  if (result.image_processing) {
+    message += `\n🖼️ ${describeImageProcessing(result.image_processing)}`;
+  }
+  if (result.uploaded_file) {
+    message += `\n📁 File ID: ${result.uploaded_file.name}${result.reused_upload ? ' (identical content uploaded before, reused)' : ''}`;
+    if (result.uploaded_file.url) {
+      message += `\n🔗 File URL: ${result.uploaded_file.url}`;
+    }
+  }
+  if (result.updated_row) {
+    message += `\n📝 Updated row ${result.updated_row.id || rowId} in table ${tableId} (${attachMode || 'replace'})`;
+  }
+  if (result.created_row) {
+    message += `\n🆕 Created row ${result.created_row.id} in table ${tableId}`;
+  }
+  if (result.unchanged_row) {
+    message += `\n📝 Row ${result.unchanged_row.id || rowId} in table ${tableId} already holds the file, left unchanged`;
+  }
+  if (result.row_update_error) {
+    message += `\n⚠️ ${result.row_update_error}`;
+  }
+  return message;
+}
+
+// Helper function to describe the image processing report of an upload for the tool response
+function describeImageProcessing (report) {
+  const describe = ({ format, width, height, size }) => `${width}×${height} ${format}, ${size} bytes`;
+  return `${describe(report.before)} → ${describe(report.after)}${report.metadataStripped ? ', metadata stripped' : ''}`;
+}
+
+// Helper function to describe the requests of a dry run, one per line with the given line prefix
+function describePlannedRequests (plan, prefix) {
+  const fileNames = files => (files.length ? files.map(file => file.visible_name || file.name).join(', ') : 'no files');
+  let message = `${prefix}📤 ${plan.upload.method} ${plan.upload.endpoint}`;
+  if (plan.row) {
+    message += `${prefix}📝 ${plan.row.method} ${plan.row.endpoint} - "${plan.row.field}": ${fileNames(plan.row.current)} → ${fileNames(plan.row.new)}`;
+  }
+  return message;
+}
+
+// Helper function to list the outcome of every batch item for the tool response
+function describeBatchResults (results) {
+  let message = '';
+  for (const item of results) {
+    if (item.status === 'failed') {
+      message += `\n❌ #${item.index + 1} ${item.source}: ${item.error}`;
+      continue;
+    }
+    if (item.status === 'planned') {
+      message += `\n🧪 #${item.index + 1} ${item.source}${describePlannedRequests(item.plan, '\n   ')}`;
+      if (item.image_processing) {
+        message += `\n   🖼️ ${describeImageProcessing(item.image_processing)}`;
+      }
+      continue;
+    }
+
+    const icon = item.status === 'row_update_failed' ? '⚠️' : '✅';
+    message += `\n${icon} #${item.index + 1} ${item.source} → ${item.uploaded_file?.name}${item.reused_upload ? ' (reused)' : ''}`;
+    if (item.image_processing) {
+      message += ` [${describeImageProcessing(item.image_processing)}]`;
+    }
+    if (item.updated_row) {
+      message += ` (updated row ${item.updated_row.id || item.rowId} in table ${item.tableId})`;
+    }
+    if (item.created_row) {
+      message += ` (created row ${item.created_row.id} in table ${item.tableId})`;
+    }
+    if (item.unchanged_row) {
+      message += ` (row ${item.unchanged_row.id || item.rowId} in table ${item.tableId} already holds it)`;
+    }
+    if (item.row_update_error) {
+      message += ` - ${item.row_update_error}`;
+    }
+  }
+  return message;
+}
+
+// Helper function to format one table of the structure report, with its fields and sample rows
+function formatTableReport (table, includeRows) {
+  let message = `\n    📋 **Table: ${table.name}** (ID: ${table.id})\n`;
+  message += `       🔢 Row Count: ${table.rowCount || 'Unknown'}\n`;
+  message += `       📝 Fields (${table.fields.length}):\n`;
+
+  for (const field of table.fields) {
+    message += `         • **${field.name}** (${field.type})`;
+    if (field.primary) message += ' [PRIMARY]';
+    if (field.description) message += ` - ${field.description}`;
+    message += `\n           ID: ${field.id}, Order: ${field.order}\n`;
+
+    // Add type-specific details
+    if (field.type === 'file') {
+      message += `           File Types: ${field.fileTypes || 'Any'}, Multiple: ${field.multipleFiles || false}\n`;
+    } else if (field.type === 'single_select' || field.type === 'multiple_select') {
+      if (field.selectOptions?.length > 0) {
+        message += `           Options: ${field.selectOptions.map(opt => opt.value).join(', ')}\n`;
+      }
+    } else if (field.type === 'link_row') {
+      message += `           Links to Table ID: ${field.linkRowTableId}\n`;
+    }
+  }
+
+  // Add sample rows if requested
+  if (includeRows && table.sampleRows.length > 0) {
+    message += `\n       📄 Sample Rows (showing ${table.sampleRows.length}):\n`;
+    for (let i = 0; i < Math.min(3, table.sampleRows.length); i++) {
+      const row = table.sampleRows[i];
+      message += `         Row ${row.id}: `;
+      const rowData = [];
+      for (const field of table.fields.slice(0, 3)) { // Show first 3 fields
+        const value = row[`field_${field.id}`];
+        if (value !== undefined && value !== null) {
+          rowData.push(`${field.name}: ${typeof value === 'object' ? JSON.stringify(value).slice(0, 50) : String(value).slice(0, 50)}`);
+        }
+      }
+      message += rowData.join(', ') + '\n';
+    }
+  }
+  message += '\n';
+  return message;
+}
+
+// Helper function to run an async callback over items with at most `limit` calls in flight
+async function mapWithConcurrency (items, limit, callback) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await callback(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Read all tables and fields structure from Baserow, labelling each workspace with the profile it came from
+ * @param {boolean} includeRows - Whether to include sample rows data
+ * @param {number} maxRows - Maximum number of rows to fetch per table
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.refresh - Drop cached metadata and re-read everything from Baserow
+ * @param {Array<string|number>} options.workspaces - Only scan these workspaces, by ID or name pattern
+ * @param {Array<string|number>} options.applications - Only scan these database applications, by ID or name pattern
+ * @param {Array<string|number>} options.tables - Only scan these tables, by ID or name pattern
+ * @param {Array<string>} options.fieldTypes - Only return fields of these types, e.g. `['file']`
+ * @param {Array<string|number>} options.tableIds - Read only these tables, without listing workspaces (defaults to the profile's table IDs)
+ * @param {string} options.profile - Only read this Baserow profile (default: every configured profile)
+ * @param {Function} options.onProgress - Called with `{ tablesScanned, tableName }` after each table
+ * @param {AbortSignal} options.signal - Optional signal to abort the scan
+ * @returns {Promise<Object>} Complete Baserow structure; in table ID mode `structure.tables` lists the tables and `workspaces` stays empty
+ */
+async function readBaserowStructure (includeRows = false, maxRows = 5, options = {}) {
+  // Read the requested profile, or every configured Baserow instance
+  const profiles = options.profile
+    ? [resolveProfile(options.profile)]
+    : listProfileNames().map(name => resolveProfile(name));
+
+  if (options.refresh) {
+    invalidateMetadataCache();
+  }
+
+  try {
+    const structure = {
+      profiles: profiles.map(profile => ({ name: profile.name, apiUrl: profile.apiUrl })),
+      workspaces: [],
+      summary: {
+        totalWorkspaces: 0,
+        totalApplications: 0,
+        totalTables: 0,
+        totalFields: 0
+      }
+    };
+
+    let tablesScanned = 0;
+    for (const profile of profiles) {
+      const visitTable = async (table) => {
+        const tableInfo = await describeTable(table, { includeRows, maxRows, fieldTypes: options.fieldTypes }, profile.apiUrl, profile.credentials, options.signal);
+        structure.summary.totalFields += tableInfo.fields.length;
+
+        tablesScanned++;
+        if (options.onProgress) {
+          options.onProgress({ tablesScanned, tableName: table.name });
+        }
+        return tableInfo;
+      };
+
+      // Database tokens can't list workspaces, so read the given tables from their field lists alone
+      const tableIds = options.tableIds?.length ? options.tableIds : profile.tableIds;
+      if (tableIds.length) {
+        const tables = tableIds
+          .filter(id => /^\d+$/.test(String(id)) && !checkTableAllowed(profile, id))
+          .map(id => ({ id: Number(id), name: `Table ${id}` }))
+          .filter(table => matchesScope(table, options.tables));
+        const tableInfos = await mapWithConcurrency(tables, STRUCTURE_FETCH_CONCURRENCY, visitTable);
+        structure.tables = [...(structure.tables || []), ...tableInfos.map(tableInfo => ({ profile: profile.name, ...tableInfo }))];
+        structure.summary.totalTables += tables.length;
+        continue;
+      }
+
+      // Step 1: Get all workspaces in scope, defaulting to the profile's default workspace
+      const workspaceFilters = options.workspaces?.length || profile.defaultWorkspace === null
+        ? options.workspaces
+        : [profile.defaultWorkspace];
+      const workspaces = (await listWorkspaces(profile.apiUrl, profile.credentials, options.signal))
+        .filter(workspace => matchesScope(workspace, workspaceFilters));
+      structure.summary.totalWorkspaces += workspaces.length;
+
+      // Step 2: For each workspace, walk its databases and describe every table in scope
+      const scope = {
+        summary: structure.summary,
+        applications: options.applications,
+        tables: options.tables,
+        allowedTables: profile.allowedTables
+      };
+      for (const workspace of workspaces) {
+        const workspaceInfo = await walkWorkspace(workspace, visitTable, scope, profile.apiUrl, profile.credentials, options.signal);
+
+        structure.workspaces.push({ profile: profile.name, ...workspaceInfo });
+      }
+    }
+
+    return {
+      success: true,
+      structure,
+      message: structure.tables && structure.workspaces.length === 0
+        ? `Found ${structure.summary.totalTables} tables and ${structure.summary.totalFields} fields`
+        : `Found ${structure.summary.totalWorkspaces} workspaces, ${structure.summary.totalApplications} applications, ${structure.summary.totalTables} tables, and ${structure.summary.totalFields} fields`
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to read Baserow structure: ${error.message}`);
+  }
+}
+
+// Tables of a database described at the same time while walking a workspace
+const STRUCTURE_FETCH_CONCURRENCY = 5;
+
+// Helper function to walk the database applications and tables of a workspace into the nested
+// structure format, using `visitTable(table, appInfo)` to describe each table (several tables at once).
+// Applications or tables that can't be listed are logged and left empty. `scope.applications`, `scope.tables`
+// and `scope.allowedTables` restrict the walk, and `scope.summary.totalApplications/totalTables` are counted when given.
+async function walkWorkspace (workspace, visitTable, scope, apiUrl, apiToken, signal) {
+  const { summary, applications: applicationFilters, tables: tableFilters, allowedTables } = scope;
+  const workspaceInfo = {
+    id: workspace.id,
+    name: workspace.name,
+    applications: []
+  };
+
+  let applications;
+  try {
+    applications = (await listApplications(workspace.id, apiUrl, apiToken, signal))
+      .filter(application => matchesScope(application, applicationFilters));
+  } catch (error) {
+    console.warn(error.message);
+    return workspaceInfo;
+  }
+
+  if (summary) {
+    summary.totalApplications += applications.length;
+  }
+
+  for (const application of applications) {
+    if (application.type !== 'database') continue;
+
+    const appInfo = {
+      id: application.id,
+      name: application.name,
+      type: application.type,
+      tables: []
+    };
+
+    let tables;
+    try {
+      tables = (await listTables(application.id, apiUrl, apiToken, signal))
+        .filter(table => matchesScope(table, tableFilters) && (!allowedTables || allowedTables.includes(String(table.id))));
+    } catch (error) {
+      console.warn(error.message);
+      workspaceInfo.applications.push(appInfo);
+      continue;
+    }
+
+    if (summary) {
+      summary.totalTables += tables.length;
+    }
+
+    appInfo.tables = await mapWithConcurrency(tables, STRUCTURE_FETCH_CONCURRENCY, table => visitTable(table, appInfo));
+
+    workspaceInfo.applications.push(appInfo);
+  }
+
+  return workspaceInfo;
+}
+
+// Helper function to describe a table with its fields (only those of `fieldTypes` when given) and,
+// when `includeRows` is set, its row count and up to `maxRows` sample rows
+async function describeTable (table, { includeRows = false, maxRows = 5, fieldTypes }, apiUrl, apiToken, signal) {
+  const tableInfo = {
+    id: table.id,
+    name: table.name,
+    order: table.order,
+    fields: [],
+    rowCount: 0,
+    sampleRows: []
+  };
+
+  try {
+    const fields = await getTableFields(table.id, apiUrl, apiToken, signal);
+    tableInfo.fields = fields
+      .filter(field => !fieldTypes?.length || fieldTypes.includes(field.type))
+      .map(describeField);
+  } catch (error) {
+    console.warn(`Failed to fetch fields for table ${table.id}: ${error.message}`);
+  }
+
+  if (includeRows) {
+    const rowsResponse = await baserowFetch(`${apiUrl}/api/database/rows/table/${table.id}/?size=${maxRows}`, {
+      headers: {
+        Authorization: await getAuthorization(apiUrl, apiToken, signal),
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+
+    if (rowsResponse.ok) {
+      const rowsData = await rowsResponse.json();
+      tableInfo.rowCount = rowsData.count || 0;
+      tableInfo.sampleRows = rowsData.results || [];
+    }
+  }
+
+  return tableInfo;
+}
+
+// Helper function to read the table IDs from BASEROW_TABLE_IDS (comma or space separated)
+function getConfiguredTableIds () {
+  return readTableIdsEnv('BASEROW_TABLE_IDS');
+}
+
+// Helper function to read comma or space separated table IDs from an environment variable
+function readTableIdsEnv (name) {
+  return (process.env[name] || '').split(/[\s,]+/).filter(id => /^\d+$/.test(id));
+}
+
+// Helper function to tell whether a workspace, application or table is selected by a list of IDs
+// and/or case-insensitive name patterns (`*` matches anything). No filters selects everything.
+function matchesScope (item, filters) {
+  if (!filters?.length) {
+    return true;
+  }
+
+  return filters.some(filter => {
+    if (typeof filter === 'number' || /^\d+$/.test(filter)) {
+      return String(item.id) === String(filter);
+    }
+    const pattern = filter.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`, 'i').test(item.name || '');
+  });
+}
+
+// Templates of the Baserow resources exposed over MCP, so clients can fetch one workspace or table at a time.
+// `profile` selects the Baserow instance and defaults to the default profile.
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'baserow://workspace/{workspaceId}{?profile}',
+    name: 'Baserow workspace',
+    description: 'The databases and tables of a workspace (IDs and names only)',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'baserow://table/{tableId}/schema{?profile}',
+    name: 'Baserow table schema',
+    description: 'The fields of a table, with file field settings, select options and link targets',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'baserow://table/{tableId}/rows{?page,size,profile}',
+    name: 'Baserow table rows',
+    description: 'One page of a table\'s rows, keyed by field name (size defaults to 100, at most 200)',
+    mimeType: 'application/json'
+  }
+];
+
+// Largest page of rows a rows resource returns, matching Baserow's own limit
+const MAX_RESOURCE_PAGE_SIZE = 200;
+
+/**
+ * List the Baserow resources of every profile: each workspace, plus the schema and rows of every
+ * table (only the schema and rows of the profile's table IDs when those are configured)
+ * @param {Object} options - Optional settings
+ * @param {string} options.profile - Only list the resources of this profile
+ * @param {AbortSignal} options.signal - Optional signal to abort the listing
+ * @returns {Promise<Array<Object>>} MCP resource descriptors
+ */
+async function listBaserowResources (options = {}) {
+  const profileNames = options.profile ? [options.profile] : listProfileNames();
+  const resources = [];
+
+  for (const profileName of profileNames) {
+    const profile = resolveProfile(profileName);
+    // Resources of the default profile keep plain URIs, the others name their profile
+    const isDefault = profileName === listProfileNames()[0];
+    const query = isDefault ? '' : `?profile=${encodeURIComponent(profile.name)}`;
+    const prefix = profileNames.length > 1 || !isDefault ? `[${profile.name}] ` : '';
+    const addTable = (tableId, label) => {
+      resources.push({
+        uri: `baserow://table/${tableId}/schema${query}`,
+        name: `${prefix}Schema: ${label}`,
+        mimeType: 'application/json'
+      }, {
+        uri: `baserow://table/${tableId}/rows${query}`,
+        name: `${prefix}Rows: ${label}`,
+        mimeType: 'application/json'
+      });
+    };
+
+    // Database tokens can't list workspaces, so only offer the configured tables
+    if (profile.tableIds.length) {
+      for (const tableId of profile.tableIds.filter(id => !checkTableAllowed(profile, id))) {
+        addTable(tableId, `Table ${tableId}`);
+      }
+      continue;
+    }
+
+    const workspaces = await listWorkspaces(profile.apiUrl, profile.credentials, options.signal);
+    for (const workspace of workspaces) {
+      resources.push({
+        uri: `baserow://workspace/${workspace.id}${query}`,
+        name: `${prefix}Workspace: ${workspace.name}`,
+        mimeType: 'application/json'
+      });
+
+      await walkWorkspace(workspace, (table, appInfo) => {
+        addTable(table.id, `${workspace.name} / ${appInfo.name} / ${table.name}`);
+        return table;
+      }, { allowedTables: profile.allowedTables }, profile.apiUrl, profile.credentials, options.signal);
+    }
+  }
+
+  return resources;
+}
+
+/**
+ * Read a Baserow resource: `baserow://workspace/<id>`, `baserow://table/<id>/schema`
+ * or `baserow://table/<id>/rows?page=<n>&size=<n>`, each optionally with `?profile=<name>`
+ * @param {string} uri - Resource URI
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - Optional signal to abort the read
+ * @returns {Promise<Object>} MCP resource contents `{ uri, mimeType, text }` holding JSON
+ */
+async function readBaserowResource (uri, options = {}) {
+  const match = uri.match(/^baserow:\/\/(workspace|table)\/(\d+)(\/schema|\/rows)?(?:\?(.*))?$/);
+  if (!match || (match[1] === 'workspace') !== (match[3] === undefined)) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+
+  const [, kind, id, view, queryString] = match;
+  const query = new URLSearchParams(queryString || '');
+  const profile = resolveProfile(query.get('profile') || undefined);
+
+  let data;
+  if (kind === 'workspace') {
+    const workspaces = await listWorkspaces(profile.apiUrl, profile.credentials, options.signal);
+    const workspace = workspaces.find(w => String(w.id) === id);
+    if (!workspace) {
+      throw new Error(`Workspace ${id} not found`);
+    }
+
+    data = await walkWorkspace(workspace, table => ({
+      id: table.id,
+      name: table.name,
+      order: table.order
+    }), { allowedTables: profile.allowedTables }, profile.apiUrl, profile.credentials, options.signal);
+  } else {
+    const tableError = checkTableAllowed(profile, id);
+    if (tableError) {
+      throw new Error(tableError.message);
+    }
+
+    if (view === '/schema') {
+      const fields = await getTableFields(id, profile.apiUrl, profile.credentials, options.signal);
+      data = {
+        id: Number(id),
+        fields: fields.map(describeField)
+      };
+    } else {
+      data = await readRowsPage(id, query, profile.apiUrl, profile.credentials, options.signal);
+    }
+  }
+
+  return {
+    uri,
+    mimeType: 'application/json',
+    text: JSON.stringify(data, null, 2)
+  };
+}
+
+// Helper function to read one page of a table's rows for the rows resource
+async function readRowsPage (tableId, query, apiUrl, apiToken, signal) {
+  const page = Math.max(1, parseInt(query.get('page')) || 1);
+  const size = Math.min(MAX_RESOURCE_PAGE_SIZE, Math.max(1, parseInt(query.get('size')) || 100));
+
+  const rowsResponse = await baserowFetch(`${apiUrl}/api/database/rows/table/${tableId}/?user_field_names=true&page=${page}&size=${size}`, {
+    method: 'GET',
+    headers: {
+      Authorization: await getAuthorization(apiUrl, apiToken, signal),
+      'Content-Type': 'application/json'
+    },
+    signal
+  });
+
+  if (!rowsResponse.ok) {
+    throw new Error(`Failed to read rows of table ${tableId}: ${rowsResponse.status} ${rowsResponse.statusText}`);
+  }
+
+  const rowsData = await rowsResponse.json();
+  return {
+    tableId: Number(tableId),
+    page,
+    size,
+    count: rowsData.count ?? 0,
+    hasMore: Boolean(rowsData.next),
+    rows: rowsData.results || []
+  };
+}
+
+// Helper function to turn a raw Baserow field into the structure report format
+function describeField (field) {
+  return {
+    id: field.id,
+    name: field.name,
+    type: field.type,
+    primary: field.primary || false,
+    order: field.order,
+    description: field.description || null,
+    // Include type-specific properties
+    ...(field.type === 'file' && {
+      fileTypes: field.file_types || null,
+      multipleFiles: field.multiple_files || false
+    }),
+    ...(field.type === 'single_select' && {
+      selectOptions: field.select_options || []
+    }),
+    ...(field.type === 'multiple_select' && {
+      selectOptions: field.select_options || []
+    }),
+    ...(field.type === 'link_row' && {
+      linkRowTable: field.link_row_table || null,
+      linkRowTableId: field.link_row_table_id || null
+    })
+  };
+}
+
+// Helper function to extract a field ID from a numeric or field_ID reference, or null for field names
+function parseFieldId (fieldNameOrId) {
+  // If it's already a number or looks like a field ID, return it directly
+  if (!isNaN(fieldNameOrId) || /^\d+$/.test(fieldNameOrId)) {
+    return parseInt(fieldNameOrId);
+  }
+
+  // If it's in field_XXX format, extract the ID
+  if (fieldNameOrId.startsWith('field_')) {
+    const idPart = fieldNameOrId.replace('field_', '');
+    if (!isNaN(idPart)) {
+      return parseInt(idPart);
+    }
+  }
+
+  return null;
+}
+
+// Helper function to get field ID from field name or return ID if already provided
+async function getFieldId (tableId, fieldNameOrId, apiUrl, apiToken, signal) {
+  const fieldId = parseFieldId(fieldNameOrId);
+  if (fieldId !== null) {
+    return fieldId;
+  }
+
+  const field = await getField(tableId, fieldNameOrId, apiUrl, apiToken, signal);
+  return field ? field.id : null;
+}
+
+// Helper function to get the full field object (type, file settings, ...) by name or ID.
+// A field missing from a cached field list may have been added since, so the list is re-read once
+async function getField (tableId, fieldNameOrId, apiUrl, apiToken, signal) {
+  try {
+    const fieldId = parseFieldId(fieldNameOrId);
+    const findField = (fields) => fieldId !== null
+      ? fields.find(f => f.id === fieldId)
+      : fields.find(f => f.name === fieldNameOrId);
+
+    let field = findField(await getTableFields(tableId, apiUrl, apiToken, signal));
+    if (!field) {
+      invalidateMetadataCache(tableId);
+      field = findField(await getTableFields(tableId, apiUrl, apiToken, signal));
+    }
+
+    if (!field) {
+      throw new Error(`Field "${fieldNameOrId}" not found in table ${tableId}`);
+    }
+
+    return field;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.warn(`Field resolution failed: ${error.message}`);
+    return null;
+  }
+}
+
+const MISSING_CONFIG_ERROR = 'BASEROW_API_URL and BASEROW_API_TOKEN environment variables are required (or BASEROW_EMAIL and BASEROW_PASSWORD instead of the token)';
+
+// Name of the profile built from the BASEROW_* environment variables when no profiles file is configured
+const ENV_PROFILE_NAME = 'default';
+
+// Parsed profiles file, reloaded when the file changes
+let profilesFileCache = null;
+
+/**
+ * Resolve a Baserow profile: the connection (URL and credentials) plus per-instance settings.
+ * Profiles come from the JSON file named by BASEROW_PROFILES_FILE; without it there is a single
+ * "default" profile built from BASEROW_API_URL, BASEROW_API_TOKEN (or BASEROW_EMAIL/BASEROW_PASSWORD)
+ * and BASEROW_TABLE_IDS. The safety policy (allowedTables, allowedFields, readOnly, confirmOverwrite)
+ * comes from the BASEROW_* policy variables unless the profile sets its own.
+ * @param {string} name - Profile name (default: the file's `default` profile, or its first one)
+ * @returns {Object} `{ name, apiUrl, credentials, defaultWorkspace, tableIds, allowedTables, allowedFields, readOnly, confirmOverwrite }`
+ */
+function resolveProfile (name) {
+  const config = loadProfilesFile();
+  const policy = getEnvPolicy();
+  if (!config) {
+    if (name && name !== ENV_PROFILE_NAME) {
+      throw new Error(`Unknown Baserow profile "${name}": set BASEROW_PROFILES_FILE to use named profiles`);
+    }
+    const apiUrl = process.env.BASEROW_API_URL;
+    const credentials = getBaserowCredentials();
+    if (!apiUrl || !credentials) {
+      throw new Error(MISSING_CONFIG_ERROR);
+    }
+    return {
+      name: ENV_PROFILE_NAME,
+      apiUrl,
+      credentials,
+      defaultWorkspace: null,
+      tableIds: getConfiguredTableIds(),
+      ...policy
+    };
+  }
+
+  const profileName = name || config.default || Object.keys(config.profiles)[0];
+  const profile = config.profiles[profileName];
+  if (!profile) {
+    throw new Error(`Unknown Baserow profile "${profileName}" (available: ${Object.keys(config.profiles).join(', ')})`);
+  }
+
+  const credentials = profile.token || (profile.email && profile.password && { email: profile.email, password: profile.password });
+  if (!profile.url || !credentials) {
+    throw new Error(`Baserow profile "${profileName}" needs a url and either a token or an email and password`);
+  }
+
+  return {
+    name: profileName,
+    apiUrl: profile.url.replace(/\/+$/, ''),
+    credentials,
+    defaultWorkspace: profile.defaultWorkspace ?? null,
+    tableIds: (profile.tableIds || []).map(String),
+    allowedTables: profile.allowedTables ? profile.allowedTables.map(String) : policy.allowedTables,
+    allowedFields: profile.allowedFields ? normalizeAllowedFields(profile.allowedFields, `profile "${profileName}"`) : policy.allowedFields,
+    readOnly: profile.readOnly ?? policy.readOnly,
+    confirmOverwrite: profile.confirmOverwrite ?? policy.confirmOverwrite
+  };
+}
+
+// Helper function to read the server-wide safety policy from BASEROW_ALLOWED_TABLES, BASEROW_ALLOWED_FIELDS,
+// BASEROW_READ_ONLY and BASEROW_CONFIRM_OVERWRITE
+function getEnvPolicy () {
+  const allowedTables = readTableIdsEnv('BASEROW_ALLOWED_TABLES');
+
+  let allowedFields = null;
+  if (process.env.BASEROW_ALLOWED_FIELDS) {
+    try {
+      allowedFields = JSON.parse(process.env.BASEROW_ALLOWED_FIELDS);
+    } catch (error) {
+      throw new Error(`Invalid BASEROW_ALLOWED_FIELDS: ${error.message}`);
+    }
+  }
+
+  return {
+    allowedTables: allowedTables.length ? allowedTables : null,
+    allowedFields: allowedFields && normalizeAllowedFields(allowedFields, 'BASEROW_ALLOWED_FIELDS'),
+    readOnly: readBooleanEnv('BASEROW_READ_ONLY'),
+    confirmOverwrite: readBooleanEnv('BASEROW_CONFIRM_OVERWRITE')
+  };
+}
+
+// Helper function to check an allowedFields setting (`{ "<tableId>": ["Field name", "field_123", ...] }`)
+// and turn its table IDs and field references into strings
+function normalizeAllowedFields (allowedFields, source) {
+  if (typeof allowedFields !== 'object' || Array.isArray(allowedFields) ||
+    !Object.values(allowedFields).every(Array.isArray)) {
+    throw new Error(`Invalid allowed fields in ${source}: expected an object mapping table IDs to lists of field names or IDs`);
+  }
+  return Object.fromEntries(Object.entries(allowedFields).map(([tableId, fields]) => [String(tableId), fields.map(String)]));
+}
+
+// Helper function to list the names of all profiles, with the default profile first
+function listProfileNames () {
+  const config = loadProfilesFile();
+  if (!config) {
+    return [ENV_PROFILE_NAME];
+  }
+  const defaultName = config.default || Object.keys(config.profiles)[0];
+  return [defaultName, ...Object.keys(config.profiles).filter(name => name !== defaultName)];
+}
+
+// Helper function to read the BASEROW_PROFILES_FILE JSON (`{ default?, profiles: { <name>: {...} } }`), or null when unset
+function loadProfilesFile () {
+  const filePath = process.env.BASEROW_PROFILES_FILE;
+  if (!filePath) {
+    return null;
+  }
+
+  let mtimeMs;
+  try {
+    mtimeMs = statSync(filePath).mtimeMs;
+  } catch (error) {
+    throw new Error(`Cannot read Baserow profiles file ${filePath}: ${error.message}`);
+  }
+  if (profilesFileCache?.filePath === filePath && profilesFileCache.mtimeMs === mtimeMs) {
+    return profilesFileCache.config;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid Baserow profiles file ${filePath}: ${error.message}`);
+  }
+  if (!config?.profiles || typeof config.profiles !== 'object' || Object.keys(config.profiles).length === 0) {
+    throw new Error(`Baserow profiles file ${filePath} must define at least one profile under "profiles"`);
+  }
+  if (config.default && !config.profiles[config.default]) {
+    throw new Error(`Default profile "${config.default}" is not defined in ${filePath}`);
+  }
+
+  profilesFileCache = { filePath, mtimeMs, config };
+  return config;
+}
+
+// Helper function to refuse tables outside a profile's allowedTables, returning a validation error or null
+function checkTableAllowed (profile, tableId) {
+  if (!tableId || !profile.allowedTables || profile.allowedTables.includes(String(tableId))) {
+    return null;
+  }
+  return {
+    code: 'table_not_allowed',
+    message: `Table ${tableId} is not in the allowed tables of profile "${profile.name}"`
+  };
+}
+
+// Helper function to refuse fields outside a profile's allowedFields for the table, returning a validation
+// error or null. Tables without an allowedFields entry allow every field.
+function checkFieldAllowed (profile, tableId, field) {
+  const allowedFields = profile.allowedFields?.[String(tableId)];
+  if (!allowedFields || allowedFields.some(allowed => allowed === field.name || parseFieldId(allowed) === field.id)) {
+    return null;
+  }
+  return {
+    code: 'field_not_allowed',
+    field: field.name,
+    message: `Field "${field.name}" of table ${tableId} is not in the allowed fields of profile "${profile.name}"`
+  };
+}
+
+// Tools that write files and rows, and so are subject to the safety policy
+const UPLOAD_TOOLS = ['upload_image_url', 'upload_file', 'upload_content', 'upload_batch', 'upload_directory'];
+
+// Tools that change the files of a file field without uploading, also subject to the safety policy
+const FILE_FIELD_TOOLS = ['manage_file_field'];
+
+/**
+ * Check a tool call against the safety policy of its profile before anything is uploaded or changed:
+ * allowed tables and fields, read-only mode and confirmation before overwriting or removing files
+ * @param {string} name - Tool name
+ * @param {Object} args - Parsed tool arguments; for upload_directory, `items` holds the planned files from planDirectoryUpload
+ * @param {AbortSignal} signal - Optional signal to abort the lookups
+ * @returns {Promise<Map<number, Object>>} Validation errors of the refused uploads keyed by batch item (or planned file) index, 0 for single uploads and file field changes; empty when everything is allowed
+ */
+async function checkToolPolicy (name, args, signal) {
+  const refused = new Map();
+  if (!UPLOAD_TOOLS.includes(name) && !FILE_FIELD_TOOLS.includes(name)) {
+    return refused;
+  }
+
+  const profile = resolveProfile(args.profile);
+  const uploads = name === 'upload_batch' || name === 'upload_directory'
+    ? args.items.map(item => ({ ...item, ...applyBatchDefaults(item, args), imageProcessing: args.imageProcessing }))
+    : [args];
+
+  await mapWithConcurrency(uploads, STRUCTURE_FETCH_CONCURRENCY, async (upload, index) => {
+    try {
+      const error = FILE_FIELD_TOOLS.includes(name)
+        ? await checkFileFieldPolicy(profile, upload, args.force, signal)
+        : await checkUploadPolicy(profile, upload, args.force, signal);
+      if (error) {
+        refused.set(index, error);
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      // Uploads that can't be checked are refused rather than let through
+      refused.set(index, {
+        code: 'policy_check_failed',
+        message: `Could not check the safety policy: ${error.message}`
+      });
+    }
+  });
+
+  return refused;
+}
+
+// Helper function to check a single upload against the safety policy, returning a validation error or null
+async function checkUploadPolicy (profile, upload, force, signal) {
+  const { tableId, rowId, fieldName, attachMode = 'replace', createRow, rowValues = {}, rowMatch } = upload;
+
+  // Uploads that don't touch a row are always allowed; incomplete row targets are reported by the upload itself
+  if (!hasRowTarget(upload) || validateRowTargetArgs(tableId, rowId, fieldName, createRow, rowMatch)) {
+    return null;
+  }
+
+  const tableError = checkTableAllowed(profile, tableId);
+  if (tableError) {
+    return tableError;
+  }
+
+  if (profile.readOnly) {
+    return {
+      code: 'read_only',
+      message: `Profile "${profile.name}" is read-only: files can be uploaded, but rows can't be updated or created`
+    };
+  }
+
+  // Nothing left to check for this table, so skip the field lookups
+  if (!profile.allowedFields?.[String(tableId)] && !profile.confirmOverwrite) {
+    return null;
+  }
+
+  // Fields that can't be resolved are reported by the upload itself
+  const field = await getField(tableId, fieldName, profile.apiUrl, profile.credentials, signal);
+  if (!field) {
+    return null;
+  }
+
+  const writtenFields = [field];
+  if (createRow || rowMatch?.createIfMissing) {
+    for (const name of Object.keys(rowValues)) {
+      const valueField = await getField(tableId, name, profile.apiUrl, profile.credentials, signal);
+      if (valueField) {
+        writtenFields.push(valueField);
+      }
+    }
+  }
+  // Rows created for an unmatched rowMatch also get the matched value
+  if (rowMatch?.createIfMissing) {
+    const matchField = rowMatch.field
+      ? await getField(tableId, rowMatch.field, profile.apiUrl, profile.credentials, signal)
+      : (await getTableFields(tableId, profile.apiUrl, profile.credentials, signal)).find(f => f.primary);
+    if (matchField) {
+      writtenFields.push(matchField);
+    }
+  }
+  for (const writtenField of writtenFields) {
+    const fieldError = checkFieldAllowed(profile, tableId, writtenField);
+    if (fieldError) {
+      return fieldError;
+    }
+  }
+
+  // Only replacing the files of an existing row can overwrite anything
+  const replacesAll = attachMode === 'replace' || field.multiple_files === false;
+  if (!profile.confirmOverwrite || force || createRow || (!replacesAll && attachMode !== 'replace_by_name')) {
+    return null;
+  }
+
+  const targetRowId = rowMatch
+    ? (await findRowByValue(tableId, rowMatch, profile.apiUrl, profile.credentials, signal)).rowId
+    : rowId;
+  if (!targetRowId) {
+    return null;
+  }
+
+  const currentFiles = await getRowFiles(tableId, targetRowId, field, profile.apiUrl, profile.credentials, signal);
+  if (replacesAll) {
+    if (currentFiles.length === 0) {
+      return null;
+    }
+    return {
+      code: 'overwrite_not_confirmed',
+      field: field.name,
+      message: `Field "${field.name}" of row ${targetRowId} in table ${tableId} already holds ${currentFiles.length} file(s); pass force: true to replace them`
+    };
+  }
+
+  // replace_by_name only overwrites files with the same name, matched like mergeFileFieldValue does
+  const name = plannedVisibleName(upload);
+  if (!name || !currentFiles.some(file => file.visible_name === name || file.original_name === name)) {
+    return null;
+  }
+  return {
+    code: 'overwrite_not_confirmed',
+    field: field.name,
+    message: `Field "${field.name}" of row ${targetRowId} in table ${tableId} already holds a file named "${name}"; pass force: true to replace it`
+  };
+}
+
+// Helper function to work out the name an upload will be shown with in the row, before anything is uploaded:
+// the visibleName, else the filename, file or URL name, renamed by any image format conversion
+function plannedVisibleName (upload) {
+  if (upload.visibleName) {
+    return upload.visibleName;
+  }
+  const fileName = upload.filename || (upload.filePath ? basename(upload.filePath) : upload.url && getUrlFilename(upload.url));
+  return convertedFileName(fileName, upload.imageProcessing?.format);
+}
+
+// Helper function to check a change of a file field without an upload against the safety policy, returning a
+// validation error or null. Listing the files is always allowed, and removing them needs force when confirmOverwrite is set.
+async function checkFileFieldPolicy (profile, args, force, signal) {
+  const { tableId, rowId, fieldName, action = 'list' } = args;
+  if (action === 'list') {
+    return null;
+  }
+
+  const tableError = checkTableAllowed(profile, tableId);
+  if (tableError) {
+    return tableError;
+  }
+
+  if (profile.readOnly) {
+    return {
+      code: 'read_only',
+      message: `Profile "${profile.name}" is read-only: file fields can't be changed`
+    };
+  }
+
+  const removes = action === 'remove' && profile.confirmOverwrite && !force;
+  if (!profile.allowedFields?.[String(tableId)] && !removes) {
+    return null;
+  }
+
+  // Fields that can't be resolved are reported by manage_file_field itself
+  const field = await getField(tableId, fieldName, profile.apiUrl, profile.credentials, signal);
+  if (!field) {
+    return null;
+  }
+
+  const fieldError = checkFieldAllowed(profile, tableId, field);
+  if (fieldError) {
+    return fieldError;
+  }
+
+  if (removes) {
+    return {
+      code: 'overwrite_not_confirmed',
+      field: field.name,
+      message: `Removing files from field "${field.name}" of row ${rowId} in table ${tableId} needs confirmation; pass force: true to remove them`
+    };
+  }
+  return null;
+}
+
+// Helper function to read the files currently stored in a row's file field
+async function getRowFiles (tableId, rowId, field, apiUrl, apiToken, signal) {
+  const rowResponse = await baserowFetch(`${apiUrl}/api/database/rows/table/${tableId}/${rowId}/`, {
+    method: 'GET',
+    headers: {
+      Authorization: await getAuthorization(apiUrl, apiToken, signal),
+      'Content-Type': 'application/json'
+    },
+    signal
+  });
+
+  if (!rowResponse.ok) {
+    throw new Error(`Failed to read row ${rowId}: ${rowResponse.status} ${rowResponse.statusText}`);
+  }
+
+  const row = await rowResponse.json();
+  return row[`field_${field.id}`] || [];
+}
+
+// Refresh JWT access tokens this long before they expire
+const JWT_REFRESH_MARGIN_MS = 30000;
+
+// Logged-in JWT sessions keyed by "<apiUrl>|<email>", holding a promise of
+// `{ accessToken, refreshToken, expiresAt }` so concurrent requests share one login
+const jwtSessions = new Map();
+
+// Helper function to read the Baserow credentials from the environment: the API (database) token,
+// or `{ email, password }` for JWT auth when no token is set. Returns null when neither is configured.
+function getBaserowCredentials () {
+  if (process.env.BASEROW_API_TOKEN) {
+    return process.env.BASEROW_API_TOKEN;
+  }
+  if (process.env.BASEROW_EMAIL && process.env.BASEROW_PASSWORD) {
+    return {
+      email: process.env.BASEROW_EMAIL,
+      password: process.env.BASEROW_PASSWORD
+    };
+  }
+  return null;
+}
+
+// Helper function to build the key of a Baserow instance and the identity behind the credentials,
+// "<apiUrl>|jwt:<email>" or "<apiUrl>|token:<hash>", so per-user state is never shared between
+// profiles or tokens of the same instance. Tokens are hashed to keep them out of cache keys.
+function credentialScope (apiUrl, credentials) {
+  if (typeof credentials === 'string') {
+    return `${apiUrl}|token:${createHash('sha256').update(credentials).digest('hex').slice(0, 16)}`;
+  }
+  return `${apiUrl}|jwt:${credentials.email}`;
+}
+
+/**
+ * Build the Authorization header value for Baserow credentials. Database tokens are sent as
+ * `Token <token>`; email/password credentials log in once and send `JWT <access token>`,
+ * refreshing the access token shortly before it expires.
+ * @param {string} apiUrl - Baserow API base URL
+ * @param {string|Object} credentials - Database token, or `{ email, password }`
+ * @param {AbortSignal} signal - Optional signal to abort a login or refresh
+ * @returns {Promise<string>} Authorization header value
+ */
+async function getAuthorization (apiUrl, credentials, signal) {
+  if (typeof credentials === 'string') {
+    return `Token ${credentials}`;
+  }
+
+  const key = `${apiUrl}|${credentials.email}`;
+  let pending = jwtSessions.get(key);
+  let session = pending && await pending.catch(() => null);
+
+  if (!session || session.expiresAt - JWT_REFRESH_MARGIN_MS <= Date.now()) {
+    if (jwtSessions.get(key) !== pending) {
+      // Another request started a login or refresh while we waited, use that one
+      return getAuthorization(apiUrl, credentials, signal);
+    }
+
+    pending = session ? jwtRefresh(apiUrl, credentials, session, signal) : jwtLogin(apiUrl, credentials, signal);
+    jwtSessions.set(key, pending);
+    // Drop failed logins so the next request tries again
+    pending.catch(() => {
+      if (jwtSessions.get(key) === pending) {
+        jwtSessions.delete(key);
+      }
+    });
+    session = await pending;
+  }
+
+  return `JWT ${session.accessToken}`;
+}
+
+// Helper function to log in with email and password, returning a JWT session
+async function jwtLogin (apiUrl, credentials, signal) {
+  const loginResponse = await baserowFetch(`${apiUrl}/api/user/token-auth/`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ email: credentials.email, password: credentials.password }),
+    signal
+  });
+
+  if (!loginResponse.ok) {
+    throw new Error(`Failed to log in to Baserow as ${credentials.email}: ${loginResponse.status} ${loginResponse.statusText}`);
+  }
+
+  const loginData = await loginResponse.json();
+  const accessToken = loginData.access_token || loginData.token;
+  return {
+    accessToken,
+    refreshToken: loginData.refresh_token,
+    expiresAt: getJwtExpiry(accessToken)
+  };
+}
+
+// Helper function to get a new access token for a JWT session, logging in again when the refresh token is rejected
+async function jwtRefresh (apiUrl, credentials, session, signal) {
+  if (session.refreshToken) {
+    const refreshResponse = await baserowFetch(`${apiUrl}/api/user/token-refresh/`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ refresh_token: session.refreshToken }),
+      signal
+    });
+
+    if (refreshResponse.ok) {
+      const refreshData = await refreshResponse.json();
+      const accessToken = refreshData.access_token || refreshData.token;
+      return {
+        ...session,
+        accessToken,
+        expiresAt: getJwtExpiry(accessToken)
+      };
+    }
+  }
+
+  return jwtLogin(apiUrl, credentials, signal);
+}
+
+// Helper function to read the expiry time (ms) of a JWT, assuming Baserow's default
+// 10 minute lifetime when the token can't be decoded
+function getJwtExpiry (token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    if (typeof payload.exp === 'number') {
+      return payload.exp * 1000;
+    }
+  } catch {
+    // Fall through to the default lifetime
+  }
+  return Date.now() + 10 * 60 * 1000;
+}
+
+// Methods that can be repeated without side effects beyond the first request
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+
+// Statuses meaning Baserow turned the request away without processing it, so even POSTs may be retried
+const NOT_PROCESSED_STATUSES = [429, 503];
+
+// Helper function to read a non-negative number from the environment, falling back to a default
+function readNumberEnv (name, defaultValue) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : defaultValue;
+}
+
+// Helper function to read an on/off switch from the environment (`true`, `1`, `yes` or `on`)
+function readBooleanEnv (name) {
+  return ['true', '1', 'yes', 'on'].includes((process.env[name] || '').trim().toLowerCase());
+}
+
+// Helper function to read the HTTP timeout and retry settings from the environment
+function getHttpSettings () {
+  return {
+    timeout: readNumberEnv('BASEROW_HTTP_TIMEOUT_MS', 30000),
+    uploadTimeout: readNumberEnv('BASEROW_UPLOAD_TIMEOUT_MS', 600000),
+    retries: readNumberEnv('BASEROW_HTTP_RETRIES', 3),
+    retryBaseDelay: readNumberEnv('BASEROW_HTTP_RETRY_BASE_MS', 500),
+    retryMaxDelay: readNumberEnv('BASEROW_HTTP_RETRY_MAX_MS', 30000)
+  };
+}
+
+/**
+ * fetch() wrapper used for every Baserow API call. Each attempt gets a timeout, and
+ * 429/5xx responses and network errors are retried with exponential backoff and jitter,
+ * honouring Retry-After. Non-idempotent requests (POST) are only retried when Baserow
+ * reports it didn't process them (429/503), so uploads and row creations aren't duplicated.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options; `body` may be a function returning a fresh body for each attempt
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.upload - Use the (longer) upload timeout
+ * @returns {Promise<Response>} The final response, which may still be an error response
+ */
+async function baserowFetch (url, init = {}, options = {}) {
+  const settings = getHttpSettings();
+  const method = (init.method || 'GET').toUpperCase();
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+  const timeout = options.upload ? settings.uploadTimeout : settings.timeout;
+
+  for (let attempt = 0; ; attempt++) {
+    const request = createRequestSignal(init.signal, timeout);
+    const body = typeof init.body === 'function' ? init.body() : init.body;
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, body, signal: request.signal });
+    } catch (error) {
+      request.clear();
+      // Connections refused by the URL policy won't be allowed on a retry either
+      if (init.signal?.aborted || error.cause?.validationError) {
+        throw error;
+      }
+
+      const failure = request.timedOut()
+        ? new Error(`Request timed out after ${timeout}ms`)
+        : error;
+      if (!idempotent || attempt >= settings.retries) {
+        throw failure;
+      }
+      console.warn(`${method} ${url} failed (${failure.message}), retrying`);
+      await sleep(getBackoffDelay(attempt, settings), init.signal);
+      continue;
+    }
+
+    const retryableStatus = response.status === 429 || response.status >= 500;
+    if (!retryableStatus || attempt >= settings.retries ||
+      !(idempotent || NOT_PROCESSED_STATUSES.includes(response.status))) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+    if (retryAfter !== null && retryAfter > settings.retryMaxDelay) {
+      return response;
+    }
+
+    request.clear();
+    await response.body?.cancel?.().catch(() => {});
+    console.warn(`${method} ${url} returned ${response.status}, retrying`);
+    await sleep(retryAfter ?? getBackoffDelay(attempt, settings), init.signal);
+  }
+}
+
+// Helper function to combine the caller's abort signal with a per-attempt timeout. The timer is left
+// running after the response arrives so a stalled response body is aborted too.
+function createRequestSignal (parentSignal, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Request timed out after ${timeout}ms`));
+    }, timeout)
+    : null;
+  timer?.unref?.();
+
+  let signal = controller.signal;
+  if (parentSignal && typeof AbortSignal.any === 'function') {
+    // Doesn't keep a listener on the (possibly long-lived) caller signal per request
+    signal = AbortSignal.any([parentSignal, controller.signal]);
+  } else if (parentSignal) {
+    if (parentSignal.aborted) {
+      controller.abort(parentSignal.reason);
+    } else {
+      parentSignal.addEventListener('abort', () => controller.abort(parentSignal.reason), { once: true });
+    }
+  }
+
+  return {
+    signal,
+    timedOut: () => timedOut,
+    clear: () => clearTimeout(timer)
+  };
+}
+
+// Helper function to compute an exponential backoff delay with full jitter
+function getBackoffDelay (attempt, settings) {
+  const ceiling = Math.min(settings.retryMaxDelay, settings.retryBaseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+// Helper function to parse a Retry-After header (seconds or HTTP date) into milliseconds, or null
+function parseRetryAfter (value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Helper function to wait for a number of milliseconds, stopping early when the signal aborts
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// In-process cache of Baserow metadata (workspaces, applications, tables and fields), keyed by
+// credentialScope() so entries never leak between instances or between users of one instance
+const metadataCache = new Map();
+
+// Helper function to read the metadata cache TTL in milliseconds (BASEROW_METADATA_CACHE_TTL is in seconds, 0 disables caching)
+function getMetadataCacheTtl () {
+  const ttl = Number(process.env.BASEROW_METADATA_CACHE_TTL ?? 300);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl * 1000 : 0;
+}
+
+// Helper function to wait for a promise, rejecting early when the signal aborts. The promise
+// itself keeps running, so other callers waiting for it are not affected.
+function untilAborted (promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Helper function to return a cached metadata value or load it. The pending promise is cached
+// so concurrent callers share one request, and failed loads are never cached. A shared load
+// must not stop when one caller aborts, so the loader only gets the caller's signal when
+// caching is off; each caller stops waiting on its own signal instead.
+async function cachedMetadata (key, signal, loader) {
+  const ttl = getMetadataCacheTtl();
+  if (!ttl) {
+    return loader(signal);
+  }
+
+  const entry = metadataCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return untilAborted(entry.value, signal);
+  }
+
+  const value = loader();
+  metadataCache.set(key, { value, expiresAt: Date.now() + ttl });
+  value.catch(() => {
+    if (metadataCache.get(key)?.value === value) {
+      metadataCache.delete(key);
+    }
+  });
+  return untilAborted(value, signal);
+}
+
+/**
+ * Drop cached Baserow metadata
+ * @param {string|number} tableId - Only drop the field list of this table (default: drop everything)
+ */
+function invalidateMetadataCache (tableId) {
+  if (tableId === undefined) {
+    metadataCache.clear();
+    return;
+  }
 
-        const appInfo = {
-          id: application.id,
-          name: application.name,
-          type: application.type,
-          tables: []
-        };
+  for (const key of metadataCache.keys()) {
+    if (key.endsWith(`|fields|${tableId}`)) {
+      metadataCache.delete(key);
+    }
+  }
+}
 
-        const tablesResponse = await fetch(`${BASEROW_API_URL}/api/database/tables/database/${application.id}/`, {
-          headers: {
-            'Authorization': `Token ${BASEROW_API_TOKEN}`,
-            'Content-Type': 'application/json'
-          }
-        });
+// Helper function to list all workspaces the token can access
+async function listWorkspaces (apiUrl, apiToken, signal) {
+  return cachedMetadata(`${credentialScope(apiUrl, apiToken)}|workspaces`, signal, async (loadSignal) => {
+    const workspacesResponse = await baserowFetch(`${apiUrl}/api/workspaces/`, {
+      headers: {
+        Authorization: await getAuthorization(apiUrl, apiToken, loadSignal),
+        'Content-Type': 'application/json'
+      },
+      signal: loadSignal
+    });
 
-        if (!tablesResponse.ok) {
-          console.warn(`Failed to fetch tables for application ${application.id}: ${tablesResponse.status}`);
-          // Still add the application with empty tables
-          workspaceInfo.applications.push(appInfo);
-          continue;
-        }
+    if (!workspacesResponse.ok) {
+      throw new Error(`Failed to fetch workspaces: ${workspacesResponse.status} ${workspacesResponse.statusText}`);
+    }
 
-        const tablesData = await tablesResponse.json();
-        structure.summary.totalTables += tablesData.length || 0;
-
-        // Step 4: For each table, get fields and optionally rows
-        for (const table of tablesData || []) {
-          const tableInfo = {
-            id: table.id,
-            name: table.name,
-            order: table.order,
-            fields: [],
-            rowCount: 0,
-            sampleRows: []
-          };
+    const workspacesData = await workspacesResponse.json();
+    return workspacesData.results || [];
+  });
+}
 
-          // Get fields for this table
-          const fieldsResponse = await fetch(`${BASEROW_API_URL}/api/database/fields/table/${table.id}/`, {
-            headers: {
-              'Authorization': `Token ${BASEROW_API_TOKEN}`,
-              'Content-Type': 'application/json'
-            }
-          });
-
-          if (fieldsResponse.ok) {
-            const fieldsData = await fieldsResponse.json();
-            structure.summary.totalFields += fieldsData.length || 0;
-
-            tableInfo.fields = fieldsData.map(field => ({
-              id: field.id,
-              name: field.name,
-              type: field.type,
-              primary: field.primary || false,
-              order: field.order,
-              description: field.description || null,
-              // Include type-specific properties
-              ...(field.type === 'file' && {
-                fileTypes: field.file_types || null,
-                multipleFiles: field.multiple_files || false
-              }),
-              ...(field.type === 'single_select' && {
-                selectOptions: field.select_options || []
-              }),
-              ...(field.type === 'multiple_select' && {
-                selectOptions: field.select_options || []
-              }),
-              ...(field.type === 'link_row' && {
-                linkRowTable: field.link_row_table || null,
-                linkRowTableId: field.link_row_table_id || null
-              })
-            }));
-          }
+// Helper function to list all applications of a workspace
+async function listApplications (workspaceId, apiUrl, apiToken, signal) {
+  return cachedMetadata(`${credentialScope(apiUrl, apiToken)}|applications|${workspaceId}`, signal, async (loadSignal) => {
+    const appsResponse = await baserowFetch(`${apiUrl}/api/applications/workspace/${workspaceId}/`, {
+      headers: {
+        Authorization: await getAuthorization(apiUrl, apiToken, loadSignal),
+        'Content-Type': 'application/json'
+      },
+      signal: loadSignal
+    });
 
-          // Get sample rows if requested
-          if (includeRows) {
-            const rowsResponse = await fetch(`${BASEROW_API_URL}/api/database/rows/table/${table.id}/?size=${maxRows}`, {
-              headers: {
-                'Authorization': `Token ${BASEROW_API_TOKEN}`,
-                'Content-Type': 'application/json'
-              }
-            });
-
-            if (rowsResponse.ok) {
-              const rowsData = await rowsResponse.json();
-              tableInfo.rowCount = rowsData.count || 0;
-              tableInfo.sampleRows = rowsData.results || [];
-            }
-          }
+    if (!appsResponse.ok) {
+      throw new Error(`Failed to fetch applications for workspace ${workspaceId}: ${appsResponse.status}`);
+    }
 
-          appInfo.tables.push(tableInfo);
-        }
+    return (await appsResponse.json()) || [];
+  });
+}
 
-        workspaceInfo.applications.push(appInfo);
-      }
+// Helper function to list all tables of a database application
+async function listTables (applicationId, apiUrl, apiToken, signal) {
+  return cachedMetadata(`${credentialScope(apiUrl, apiToken)}|tables|${applicationId}`, signal, async (loadSignal) => {
+    const tablesResponse = await baserowFetch(`${apiUrl}/api/database/tables/database/${applicationId}/`, {
+      headers: {
+        Authorization: await getAuthorization(apiUrl, apiToken, loadSignal),
+        'Content-Type': 'application/json'
+      },
+      signal: loadSignal
+    });
 
-      structure.workspaces.push(workspaceInfo);
+    if (!tablesResponse.ok) {
+      throw new Error(`Failed to fetch tables for application ${applicationId}: ${tablesResponse.status}`);
     }
 
-    return {
-      success: true,
-      structure,
-      message: `Found ${structure.summary.totalWorkspaces} workspaces, ${structure.summary.totalApplications} applications, ${structure.summary.totalTables} tables, and ${structure.summary.totalFields} fields`
-    };
-
-  } catch (error) {
-    throw new Error(`Failed to read Baserow structure: ${error.message}`);
-  }
+    return (await tablesResponse.json()) || [];
+  });
 }
 
-// Helper function to get field ID from field name or return ID if already provided
-async function getFieldId(tableId, fieldNameOrId, apiUrl, apiToken) {
-  try {
-    // If it's already a number or looks like a field ID, return it directly
-    if (!isNaN(fieldNameOrId) || /^\d+$/.test(fieldNameOrId)) {
-      return parseInt(fieldNameOrId);
-    }
-    
-    // If it's in field_XXX format, extract the ID
-    if (fieldNameOrId.startsWith('field_')) {
-      const idPart = fieldNameOrId.replace('field_', '');
-      if (!isNaN(idPart)) {
-        return parseInt(idPart);
-      }
-    }
-    
-    // Otherwise, treat it as a field name and resolve to ID
-    const fieldsResponse = await fetch(`${apiUrl}/api/database/fields/table/${tableId}/`, {
+// Helper function to list all fields of a table
+async function getTableFields (tableId, apiUrl, apiToken, signal) {
+  return cachedMetadata(`${credentialScope(apiUrl, apiToken)}|fields|${tableId}`, signal, async (loadSignal) => {
+    const fieldsResponse = await baserowFetch(`${apiUrl}/api/database/fields/table/${tableId}/`, {
       method: 'GET',
       headers: {
-        'Authorization': `Token ${apiToken}`,
+        Authorization: await getAuthorization(apiUrl, apiToken, loadSignal),
         'Content-Type': 'application/json'
-      }
+      },
+      signal: loadSignal
     });
 
     if (!fieldsResponse.ok) {
       throw new Error(`Failed to get fields: ${fieldsResponse.status}`);
     }
 
-    const fields = await fieldsResponse.json();
-    const field = fields.find(f => f.name === fieldNameOrId);
-    
+    return fieldsResponse.json();
+  });
+}
+
+/**
+ * Find the single row whose field equals the given value
+ * @param {string} tableId - Baserow table ID
+ * @param {Object} rowMatch - `{ field?, value }`, field defaults to the table's primary field
+ * @param {string} apiUrl - Baserow API URL
+ * @param {string} apiToken - Baserow API token
+ * @param {AbortSignal} signal - Optional signal to abort the requests
+ * @returns {Promise<Object>} `{ rowId, field }` where rowId is null when no row matches
+ */
+async function findRowByValue (tableId, rowMatch, apiUrl, apiToken, signal) {
+  const fields = await getTableFields(tableId, apiUrl, apiToken, signal);
+  let field;
+  if (rowMatch.field) {
+    const fieldId = parseFieldId(rowMatch.field);
+    field = fieldId !== null
+      ? fields.find(f => f.id === fieldId)
+      : fields.find(f => f.name === rowMatch.field);
     if (!field) {
-      throw new Error(`Field "${fieldNameOrId}" not found in table ${tableId}`);
+      throw new Error(`Field "${rowMatch.field}" not found in table ${tableId}`);
+    }
+  } else {
+    field = fields.find(f => f.primary);
+    if (!field) {
+      throw new Error(`Table ${tableId} has no primary field to match on`);
     }
-    
-    return field.id;
-  } catch (error) {
-    console.warn(`Field resolution failed: ${error.message}`);
-    return null;
   }
+
+  // Two results are enough to tell a unique match from an ambiguous one
+  const params = new URLSearchParams({
+    [`filter__field_${field.id}__equal`]: String(rowMatch.value),
+    size: '2'
+  });
+  const rowsResponse = await baserowFetch(`${apiUrl}/api/database/rows/table/${tableId}/?${params}`, {
+    method: 'GET',
+    headers: {
+      Authorization: await getAuthorization(apiUrl, apiToken, signal),
+      'Content-Type': 'application/json'
+    },
+    signal
+  });
+
+  if (!rowsResponse.ok) {
+    throw new Error(`Failed to look up row: ${rowsResponse.status} ${rowsResponse.statusText}`);
+  }
+
+  const rowsData = await rowsResponse.json();
+  const count = rowsData.count ?? rowsData.results?.length ?? 0;
+  if (count > 1) {
+    throw new Error(`${count} rows in table ${tableId} have ${field.name} = "${rowMatch.value}", expected exactly one`);
+  }
+
+  return {
+    rowId: count === 1 ? String(rowsData.results[0].id) : null,
+    field
+  };
 }
 
 // Create MCP server
@@ -464,10 +4259,45 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: {}
     },
   }
 );
 
+// Minimum time between two progress notifications, so large uploads don't flood the client
+const PROGRESS_NOTIFICATION_INTERVAL_MS = 250;
+
+// Helper function to build a progress reporter sending MCP notifications/progress, or undefined
+// when the request carries no progress token
+function createProgressNotifier (request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  if (progressToken === undefined) {
+    return undefined;
+  }
+
+  let lastSentAt = 0;
+  return (progress, total, message) => {
+    const now = Date.now();
+    const finished = total !== undefined && progress >= total;
+    if (!finished && now - lastSentAt < PROGRESS_NOTIFICATION_INTERVAL_MS) {
+      return;
+    }
+    lastSentAt = now;
+
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        ...(total !== undefined && { total }),
+        ...(message && { message })
+      }
+    }).catch(error => {
+      console.warn(`Failed to send progress notification: ${error.message}`);
+    });
+  };
+}
+
 // Handle tool listing
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
@@ -476,53 +4306,144 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         name: "upload_image_url",
         description: "Upload an image from a URL to Baserow and optionally update a table row with the uploaded image. Returns the uploaded file information and optionally updates a specified row in a table.",
         inputSchema: zodToJsonSchema(UploadImageArgsSchema),
+        outputSchema: zodToJsonSchema(UploadResultSchema)
       },
       {
         name: "upload_file",
         description: "Upload a file directly from the local filesystem to Baserow and optionally update a table row with the uploaded file. The file must exist on the local filesystem where the MCP server is running. Returns the uploaded file information and optionally updates a specified row in a table.",
         inputSchema: zodToJsonSchema(UploadFileArgsSchema),
+        outputSchema: zodToJsonSchema(UploadResultSchema)
+      },
+      {
+        name: 'upload_content',
+        description: 'Upload file content passed inline as base64 or a data: URI (e.g. a generated chart or an image attached to the conversation) to Baserow and optionally update a table row with the uploaded file. Use this when the file has no URL and isn\'t on the server\'s filesystem. Returns the uploaded file information and optionally updates a specified row in a table.',
+        inputSchema: zodToJsonSchema(UploadContentArgsSchema),
+        outputSchema: zodToJsonSchema(UploadResultSchema)
+      },
+      {
+        name: 'upload_batch',
+        description: 'Upload many files in one call. Each item is either a URL (uploaded like upload_image_url) or a local file path (uploaded like upload_file) and can optionally update a table row. Uploads run with bounded concurrency and the result lists the outcome of every item, including upload failures and row update errors.',
+        inputSchema: zodToJsonSchema(UploadBatchArgsSchema),
+        outputSchema: zodToJsonSchema(UploadBatchResultSchema)
+      },
+      {
+        name: 'upload_directory',
+        description: 'Upload the files of a local directory (selected with include/exclude glob patterns) into the rows of a table, e.g. product photos named by SKU. Each file is matched to a row by its name (the stem equals a field value, optionally narrowed by a regular expression) or by a CSV manifest, and uploaded like upload_batch. Use dryRun first to review which file goes to which row.',
+        inputSchema: zodToJsonSchema(UploadDirectoryArgsSchema),
+        outputSchema: zodToJsonSchema(UploadDirectoryResultSchema)
+      },
+      {
+        name: 'download_files',
+        description: 'Download the files stored in a file field of one or more rows to a local directory on the server, e.g. to archive invoices or to edit a file and upload it again. Returns the local path and SHA-256 checksum of every written file.',
+        inputSchema: zodToJsonSchema(DownloadFilesArgsSchema),
+        outputSchema: zodToJsonSchema(DownloadFilesResultSchema)
+      },
+      {
+        name: 'manage_file_field',
+        description: 'List the files stored in a row\'s file field, or change them without uploading: remove files, reorder them, or rename a file\'s visible name. Files are selected by position or by name; use the \'list\' action first to see them.',
+        inputSchema: zodToJsonSchema(ManageFileFieldArgsSchema),
+        outputSchema: zodToJsonSchema(ManageFileFieldResultSchema)
       },
       {
         name: "read_baserow_structure",
         description: "Read the structure of all tables and fields in Baserow, optionally including sample rows data. Returns a summary of workspaces, applications, tables, and fields, along with their detailed structure.",
         inputSchema: zodToJsonSchema(ReadBaserowStructureArgsSchema),
+        outputSchema: zodToJsonSchema(BaserowStructureResultSchema)
       },
     ],
   };
 });
 
+// Argument schema of each tool
+const TOOL_ARGS_SCHEMAS = {
+  upload_image_url: UploadImageArgsSchema,
+  upload_file: UploadFileArgsSchema,
+  upload_content: UploadContentArgsSchema,
+  upload_batch: UploadBatchArgsSchema,
+  upload_directory: UploadDirectoryArgsSchema,
+  download_files: DownloadFilesArgsSchema,
+  manage_file_field: ManageFileFieldArgsSchema,
+  read_baserow_structure: ReadBaserowStructureArgsSchema
+};
+
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
+  // Cancellation requests from the client abort the in-flight Baserow requests
+  const signal = extra.signal;
+  const notifyProgress = createProgressNotifier(request, extra);
 
-  if (name === "upload_image_url") {
-    const parsed = UploadImageArgsSchema.safeParse(args);
-    if (!parsed.success) {
-      throw new Error(`Invalid arguments: ${parsed.error.message}`);
+  const argsSchema = TOOL_ARGS_SCHEMAS[name];
+  if (!argsSchema) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  const parsed = argsSchema.safeParse(args);
+  if (!parsed.success) {
+    throw new Error(`Invalid arguments: ${parsed.error.message}`);
+  }
+
+  // Enforce the safety policy for every tool before anything is uploaded. Directory uploads are
+  // planned first, so the policy checks exactly the files that are uploaded afterwards
+  let refusedUploads;
+  let directoryPlan;
+  try {
+    if (name === 'upload_directory') {
+      directoryPlan = planDirectoryUpload(parsed.data.directory, parsed.data);
     }
+    const policyArgs = directoryPlan ? { ...parsed.data, items: directoryPlan.items || [] } : parsed.data;
+    refusedUploads = await checkToolPolicy(name, policyArgs, signal);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ Error: ${error.message}`
+        }
+      ],
+      isError: true
+    };
+  }
+  if (name !== 'upload_batch' && name !== 'upload_directory' && refusedUploads.has(0)) {
+    return validationErrorResponse(refusedUploads.get(0), name === 'manage_file_field' ? 'The file field was not changed.' : undefined);
+  }
 
-    const { url, filename, tableId, rowId, fieldName } = parsed.data;
+  if (name === 'upload_image_url') {
+    const { url, filename, visibleName, tableId, rowId, fieldName, attachMode, createRow, rowValues, rowMatch, fetchMode, imageProcessing, dedupe, dryRun, profile } = parsed.data;
     
     // Validate that if any optional params are provided, they're provided together when needed
-    if ((tableId || rowId || fieldName) && !(tableId && rowId && fieldName)) {
-      throw new Error("If providing table update parameters, tableId, rowId, and fieldName are all required");
+    const targetError = validateRowTargetArgs(tableId, rowId, fieldName, createRow, rowMatch);
+    if (targetError) {
+      throw new Error(targetError);
     }
 
     try {
-      const result = await uploadImageUrl(url, filename, tableId, rowId, fieldName);
+      const result = await uploadImageUrl(url, filename, tableId, rowId, fieldName, {
+        attachMode,
+        createRow,
+        rowValues,
+        rowMatch,
+        visibleName,
+        fetchMode,
+        imageProcessing,
+        dedupe,
+        dryRun,
+        profile,
+        signal,
+        onProgress: notifyProgress && (({ bytesSent, totalBytes }) => {
+          notifyProgress(bytesSent, totalBytes, `Uploaded ${bytesSent} of ${totalBytes} bytes`);
+        })
+      });
       
-      let message = `✅ Successfully uploaded image from ${url}`;
-      if (result.uploaded_file) {
-        message += `\n📁 File ID: ${result.uploaded_file.name}`;
-        message += `\n🔗 File URL: ${result.uploaded_file.url}`;
-      }
-      if (result.updated_row) {
-        message += `\n📝 Updated row ${rowId} in table ${tableId}`;
-      }
-      if (result.row_update_error) {
-        message += `\n⚠️ ${result.row_update_error}`;
+      if (result.validation_error) {
+        return validationErrorResponse(result.validation_error);
       }
 
+      let message = result.dry_run
+        ? `🧪 Dry run for image from ${url}, nothing was uploaded`
+        : `✅ Successfully uploaded image from ${url}`;
+      message += describeUploadResult(result, tableId, rowId, attachMode);
+
       return {
         content: [
           {
@@ -530,6 +4451,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             text: message
           }
         ],
+        structuredContent: result
       };
     } catch (error) {
       return {
@@ -543,33 +4465,95 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
   } else if (name === "upload_file") {
-    const parsed = UploadFileArgsSchema.safeParse(args);
-    if (!parsed.success) {
-      throw new Error(`Invalid arguments: ${parsed.error.message}`);
-    }
-
-    const { filePath, filename, tableId, rowId, fieldName } = parsed.data;
+    const { filePath, filename, visibleName, tableId, rowId, fieldName, attachMode, createRow, rowValues, rowMatch, imageProcessing, dedupe, dryRun, profile } = parsed.data;
     
     // Validate that if any optional params are provided, they're provided together when needed
-    if ((tableId || rowId || fieldName) && !(tableId && rowId && fieldName)) {
-      throw new Error("If providing table update parameters, tableId, rowId, and fieldName are all required");
+    const targetError = validateRowTargetArgs(tableId, rowId, fieldName, createRow, rowMatch);
+    if (targetError) {
+      throw new Error(targetError);
     }
 
     try {
-      const result = await uploadFile(filePath, filename, tableId, rowId, fieldName);
+      const result = await uploadFile(filePath, filename, tableId, rowId, fieldName, {
+        attachMode,
+        createRow,
+        rowValues,
+        rowMatch,
+        visibleName,
+        imageProcessing,
+        dedupe,
+        dryRun,
+        profile,
+        signal,
+        onProgress: notifyProgress && (({ bytesSent, totalBytes }) => {
+          notifyProgress(bytesSent, totalBytes, `Uploaded ${bytesSent} of ${totalBytes} bytes`);
+        })
+      });
       
-      let message = `✅ Successfully uploaded file from ${filePath}`;
-      if (result.uploaded_file) {
-        message += `\n📁 File ID: ${result.uploaded_file.name}`;
-        message += `\n🔗 File URL: ${result.uploaded_file.url}`;
+      if (result.validation_error) {
+        return validationErrorResponse(result.validation_error);
       }
-      if (result.updated_row) {
-        message += `\n📝 Updated row ${rowId} in table ${tableId}`;
-      }
-      if (result.row_update_error) {
-        message += `\n⚠️ ${result.row_update_error}`;
+
+      let message = result.dry_run
+        ? `🧪 Dry run for file from ${filePath}, nothing was uploaded`
+        : `✅ Successfully uploaded file from ${filePath}`;
+      message += describeUploadResult(result, tableId, rowId, attachMode);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: message
+          }
+        ],
+        structuredContent: result
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  } else if (name === 'upload_content') {
+    const { content, filename, visibleName, mimeType, tableId, rowId, fieldName, attachMode, createRow, rowValues, rowMatch, dedupe, dryRun, profile } = parsed.data;
+
+    // Validate that if any optional params are provided, they're provided together when needed
+    const targetError = validateRowTargetArgs(tableId, rowId, fieldName, createRow, rowMatch);
+    if (targetError) {
+      throw new Error(targetError);
+    }
+
+    try {
+      const result = await uploadContent(content, filename, tableId, rowId, fieldName, {
+        mimeType,
+        attachMode,
+        createRow,
+        rowValues,
+        rowMatch,
+        visibleName,
+        dedupe,
+        dryRun,
+        profile,
+        signal,
+        onProgress: notifyProgress && (({ bytesSent, totalBytes }) => {
+          notifyProgress(bytesSent, totalBytes, `Uploaded ${bytesSent} of ${totalBytes} bytes`);
+        })
+      });
+
+      if (result.validation_error) {
+        return validationErrorResponse(result.validation_error);
       }
 
+      let message = result.dry_run
+        ? `🧪 Dry run for ${filename}, nothing was uploaded`
+        : `✅ Successfully uploaded ${filename}`;
+      message += describeUploadResult(result, tableId, rowId, attachMode);
+
       return {
         content: [
           {
@@ -577,6 +4561,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             text: message
           }
         ],
+        structuredContent: result
       };
     } catch (error) {
       return {
@@ -589,72 +4574,251 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         isError: true,
       };
     }
-  } else if (name === "read_baserow_structure") {
-    const parsed = ReadBaserowStructureArgsSchema.safeParse(args);
-    if (!parsed.success) {
-      throw new Error(`Invalid arguments: ${parsed.error.message}`);
+  } else if (name === 'upload_batch') {
+    const { items, tableId, fieldName, attachMode, concurrency, fetchMode, imageProcessing, dedupe, dryRun, profile } = parsed.data;
+
+    try {
+      const result = await uploadBatch(items, {
+        tableId,
+        fieldName,
+        attachMode,
+        concurrency,
+        fetchMode,
+        imageProcessing,
+        dedupe,
+        dryRun,
+        profile,
+        refusedItems: refusedUploads,
+        signal,
+        onProgress: notifyProgress && (({ completed, total }) => {
+          notifyProgress(completed, total, `Processed ${completed} of ${total} items`);
+        })
+      });
+
+      const message = `📦 ${result.message}${describeBatchResults(result.results)}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: message
+          }
+        ],
+        structuredContent: result,
+        isError: result.summary.failed === result.summary.total
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  } else if (name === 'upload_directory') {
+    const { directory, tableId, fieldName, attachMode, concurrency, imageProcessing, dedupe, dryRun, profile } = parsed.data;
+
+    try {
+      const result = await uploadDirectory(directory, {
+        tableId,
+        fieldName,
+        attachMode,
+        concurrency,
+        imageProcessing,
+        dedupe,
+        dryRun,
+        profile,
+        plan: directoryPlan,
+        refusedItems: refusedUploads,
+        signal,
+        onProgress: notifyProgress && (({ completed, total }) => {
+          notifyProgress(completed, total, `Processed ${completed} of ${total} files`);
+        })
+      });
+
+      if (result.validation_error) {
+        return validationErrorResponse(result.validation_error);
+      }
+
+      let message = `📂 ${result.message}`;
+      if (result.dryRun) {
+        for (const entry of result.planned) {
+          const target = {
+            update_row: `row ${entry.rowId}`,
+            create_row: `new row in table ${tableId}`,
+            skip: entry.error
+          }[entry.action];
+          message += `\n${entry.action === 'skip' ? '❌' : '➡️'} ${entry.file}${entry.value !== undefined ? ` (${entry.value})` : ''} → ${target}`;
+        }
+      } else {
+        message += describeBatchResults(result.results);
+      }
+      for (const entry of result.skipped) {
+        message += `\n⏭️ ${entry.file}: ${entry.reason}`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: message
+          }
+        ],
+        structuredContent: result,
+        isError: !result.dryRun && result.summary.failed === result.summary.total
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  } else if (name === 'download_files') {
+    const { tableId, rowIds, fieldName, directory, naming, groupByRow, overwrite, concurrency, profile } = parsed.data;
+
+    try {
+      const result = await downloadFiles(tableId, rowIds, fieldName, directory, {
+        naming,
+        groupByRow,
+        overwrite,
+        concurrency,
+        profile,
+        signal,
+        onProgress: notifyProgress && (({ completed, total }) => {
+          notifyProgress(completed, total, `Downloaded ${completed} of ${total} files`);
+        })
+      });
+
+      if (result.validation_error) {
+        return validationErrorResponse(result.validation_error, 'Nothing was downloaded.');
+      }
+
+      let message = `📥 ${result.message}`;
+      for (const file of result.files) {
+        message += `\n✅ Row ${file.rowId}: ${file.path} (${file.size} bytes, sha256 ${file.sha256})`;
+      }
+      for (const failure of result.errors) {
+        message += `\n❌ Row ${failure.rowId}${failure.name ? ` ${failure.name}` : ''}: ${failure.error}`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: message
+          }
+        ],
+        structuredContent: result,
+        isError: result.files.length === 0 && result.errors.length > 0
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
     }
+  } else if (name === 'manage_file_field') {
+    const { tableId, rowId, fieldName, action, files, visibleName, profile } = parsed.data;
+
+    try {
+      const result = await manageFileField(tableId, rowId, fieldName, {
+        action,
+        files,
+        visibleName,
+        profile,
+        signal
+      });
 
-    const { includeRows, maxRows } = parsed.data;
+      if (result.validation_error) {
+        return validationErrorResponse(result.validation_error, 'The file field was not changed.');
+      }
+
+      let message = `${result.row_update_error ? '⚠️' : '🗂️'} ${result.message}`;
+      result.files.forEach((file, index) => {
+        message += `\n${index}. ${file.visible_name || file.name} (${file.name}${file.size !== undefined ? `, ${file.size} bytes` : ''})`;
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: message
+          }
+        ],
+        structuredContent: result,
+        isError: !result.success
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  } else if (name === "read_baserow_structure") {
+    const { includeRows, maxRows, refresh, workspaces, applications, tables, fieldTypes, tableIds, profile } = parsed.data;
 
     try {
-      const result = await readBaserowStructure(includeRows, maxRows);
+      const result = await readBaserowStructure(includeRows, maxRows, {
+        refresh,
+        workspaces,
+        applications,
+        tables,
+        fieldTypes,
+        tableIds,
+        profile,
+        signal,
+        onProgress: notifyProgress && (({ tablesScanned, tableName }) => {
+          notifyProgress(tablesScanned, undefined, `Scanned table ${tableName}`);
+        })
+      });
 
       let message = result.message;
       
       // Create a detailed structure report
       message += '\n\n📊 **BASEROW STRUCTURE REPORT**\n';
       
+      // Say which instance each workspace came from when several were read
+      const multipleProfiles = result.structure.profiles.length > 1;
       for (const workspace of result.structure.workspaces) {
-        message += `\n🏢 **Workspace: ${workspace.name}** (ID: ${workspace.id})\n`;
+        message += `\n🏢 **Workspace: ${workspace.name}** (ID: ${workspace.id}${multipleProfiles ? `, Profile: ${workspace.profile}` : ''})\n`;
         
         for (const app of workspace.applications) {
           message += `\n  📱 **Application: ${app.name}** (ID: ${app.id}, Type: ${app.type})\n`;
           
           for (const table of app.tables) {
-            message += `\n    📋 **Table: ${table.name}** (ID: ${table.id})\n`;
-            message += `       🔢 Row Count: ${table.rowCount || 'Unknown'}\n`;
-            message += `       📝 Fields (${table.fields.length}):\n`;
-            
-            for (const field of table.fields) {
-              message += `         • **${field.name}** (${field.type})`;
-              if (field.primary) message += ' [PRIMARY]';
-              if (field.description) message += ` - ${field.description}`;
-              message += `\n           ID: ${field.id}, Order: ${field.order}\n`;
-              
-              // Add type-specific details
-              if (field.type === 'file') {
-                message += `           File Types: ${field.fileTypes || 'Any'}, Multiple: ${field.multipleFiles || false}\n`;
-              } else if (field.type === 'single_select' || field.type === 'multiple_select') {
-                if (field.selectOptions?.length > 0) {
-                  message += `           Options: ${field.selectOptions.map(opt => opt.value).join(', ')}\n`;
-                }
-              } else if (field.type === 'link_row') {
-                message += `           Links to Table ID: ${field.linkRowTableId}\n`;
-              }
-            }
-            
-            // Add sample rows if requested
-            if (includeRows && table.sampleRows.length > 0) {
-              message += `\n       📄 Sample Rows (showing ${table.sampleRows.length}):\n`;
-              for (let i = 0; i < Math.min(3, table.sampleRows.length); i++) {
-                const row = table.sampleRows[i];
-                message += `         Row ${row.id}: `;
-                const rowData = [];
-                for (const field of table.fields.slice(0, 3)) { // Show first 3 fields
-                  const value = row[`field_${field.id}`];
-                  if (value !== undefined && value !== null) {
-                    rowData.push(`${field.name}: ${typeof value === 'object' ? JSON.stringify(value).slice(0, 50) : String(value).slice(0, 50)}`);
-                  }
-                }
-                message += rowData.join(', ') + '\n';
-              }
-            }
-            message += '\n';
+            message += formatTableReport(table, includeRows);
           }
         }
       }
 
+      // Tables read by ID have no workspace to group them under
+      let tablesProfile = null;
+      for (const table of result.structure.tables || []) {
+        if (multipleProfiles && table.profile !== tablesProfile) {
+          message += `\n🏢 **Profile: ${table.profile}**\n`;
+          tablesProfile = table.profile;
+        }
+        message += formatTableReport(table, includeRows);
+      }
+
       return {
         content: [
           {
@@ -662,6 +4826,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             text: message
           }
         ],
+        structuredContent: result
       };
     } catch (error) {
       return {
@@ -679,14 +4844,36 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   throw new Error(`Unknown tool: ${name}`);
 });
 
+// Handle resource listing
+server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+  return {
+    resources: await listBaserowResources({ signal: extra.signal })
+  };
+});
+
+// Handle resource template listing
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return {
+    resourceTemplates: RESOURCE_TEMPLATES
+  };
+});
+
+// Handle resource reads
+server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+  return {
+    contents: [await readBaserowResource(request.params.uri, { signal: extra.signal })]
+  };
+});
+
 // Start the server
 async function main() {
-  // Check environment variables when starting
-  const BASEROW_API_URL = process.env.BASEROW_API_URL;
-  const BASEROW_API_TOKEN = process.env.BASEROW_API_TOKEN;
-
-  if (!BASEROW_API_URL || !BASEROW_API_TOKEN) {
-    console.error("Error: BASEROW_API_URL and BASEROW_API_TOKEN environment variables are required");
+  // Check the environment variables, profiles file, file roots and URL fetch mode when starting
+  try {
+    listProfileNames().forEach(name => resolveProfile(name));
+    getFileRoots();
+    getUrlFetchMode();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
     process.exit(1);
   }
 
@@ -704,4 +4891,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 }
 
 // Export for testing
-export { uploadImageUrl, uploadFile, readBaserowStructure };
+export { uploadImageUrl, uploadFile, uploadContent, uploadBatch, uploadDirectory, downloadFiles, manageFileField, readBaserowStructure, listBaserowResources, readBaserowResource, checkToolPolicy, invalidateMetadataCache, baserowFetch, TOOL_ARGS_SCHEMAS, UploadResultSchema };
@@ -0,0 +1,104 @@
+/**
+ * Tests for JWT (email/password) authentication
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { readBaserowStructure, invalidateMetadataCache } from '../mcp_baserow_image.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+// Build an unsigned JWT expiring `expiresIn` seconds from now
+const createJwt = (name, expiresIn) => {
+  const payload = Buffer.from(JSON.stringify({ name, exp: Math.floor(Date.now() / 1000) + expiresIn })).toString('base64url');
+  return `header.${payload}.signature`;
+};
+
+describe('JWT authentication', () => {
+  let loginToken;
+  let refreshedToken;
+  let accessTokens;
+  let email = 0;
+
+  beforeEach(() => {
+    // Each test logs in as a new user so JWT sessions aren't shared between tests
+    process.env.BASEROW_API_URL = 'https://api.baserow.io';
+    process.env.BASEROW_EMAIL = `user${++email}@example.com`;
+    process.env.BASEROW_PASSWORD = 'secret';
+    process.env.BASEROW_TABLE_IDS = '201';
+
+    invalidateMetadataCache();
+    loginToken = createJwt('login', 600);
+    refreshedToken = createJwt('refreshed', 600);
+    accessTokens = [loginToken];
+
+    fetch.mockReset();
+    fetch.mockImplementation(async (endpoint, options) => {
+      if (endpoint.endsWith('/api/user/token-auth/')) {
+        return { ok: true, json: async () => ({ access_token: accessTokens.shift(), refresh_token: 'refresh-1' }) };
+      }
+      if (endpoint.endsWith('/api/user/token-refresh/')) {
+        return { ok: true, json: async () => ({ access_token: refreshedToken }) };
+      }
+      return { ok: true, json: async () => [{ id: 301, name: 'Name', type: 'text', primary: true }] };
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.BASEROW_API_URL;
+    delete process.env.BASEROW_EMAIL;
+    delete process.env.BASEROW_PASSWORD;
+    delete process.env.BASEROW_TABLE_IDS;
+  });
+
+  const authorizationHeaders = () => fetch.mock.calls
+    .filter(([endpoint]) => endpoint.includes('/api/database/'))
+    .map(([, options]) => options.headers.Authorization);
+
+  it('should log in with email and password and send the access token', async () => {
+    await readBaserowStructure(false, 0);
+
+    expect(fetch).toHaveBeenNthCalledWith(1,
+      'https://api.baserow.io/api/user/token-auth/',
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ email: process.env.BASEROW_EMAIL, password: 'secret' })
+      })
+    );
+    expect(authorizationHeaders()).toEqual([`JWT ${loginToken}`]);
+  });
+
+  it('should log in once for concurrent requests', async () => {
+    process.env.BASEROW_TABLE_IDS = '201,202,203';
+
+    await readBaserowStructure(false, 0);
+
+    const logins = fetch.mock.calls.filter(([endpoint]) => endpoint.endsWith('/api/user/token-auth/'));
+    expect(logins).toHaveLength(1);
+    expect(authorizationHeaders()).toHaveLength(3);
+  });
+
+  it('should refresh the access token when it is about to expire', async () => {
+    accessTokens = [createJwt('login', 10)];
+
+    await readBaserowStructure(false, 0);
+    await readBaserowStructure(false, 0, { refresh: true });
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://api.baserow.io/api/user/token-refresh/',
+      expect.objectContaining({ body: JSON.stringify({ refresh_token: 'refresh-1' }) })
+    );
+    expect(authorizationHeaders()[1]).toBe(`JWT ${refreshedToken}`);
+  });
+
+  it('should report failed logins and retry them on the next request', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fetch.mockImplementationOnce(async () => ({ ok: false, status: 401, statusText: 'Unauthorized' }));
+
+    const failed = await readBaserowStructure(false, 0);
+    expect(failed.structure.tables[0].fields).toEqual([]);
+
+    await readBaserowStructure(false, 0, { refresh: true });
+    expect(authorizationHeaders()).toEqual([`JWT ${loginToken}`]);
+    console.warn.mockRestore();
+  });
+});
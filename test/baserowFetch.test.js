@@ -0,0 +1,152 @@
+/**
+ * Tests for baserowFetch retry and timeout handling
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { baserowFetch } from '../mcp_baserow_image.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('baserowFetch', () => {
+  const url = 'https://api.baserow.io/api/workspaces/';
+  const okResponse = { ok: true, status: 200, json: async () => [] };
+  const errorResponse = (status, headers = {}) => ({
+    ok: false,
+    status,
+    statusText: 'Error',
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null }
+  });
+
+  beforeEach(() => {
+    // Keep retries fast
+    process.env.BASEROW_HTTP_RETRY_BASE_MS = '1';
+    process.env.BASEROW_HTTP_RETRY_MAX_MS = '50';
+
+    fetch.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.BASEROW_HTTP_RETRY_BASE_MS;
+    delete process.env.BASEROW_HTTP_RETRY_MAX_MS;
+    delete process.env.BASEROW_HTTP_RETRIES;
+    delete process.env.BASEROW_HTTP_TIMEOUT_MS;
+    console.warn.mockRestore();
+  });
+
+  it('should retry GET requests on server errors', async () => {
+    fetch
+      .mockResolvedValueOnce(errorResponse(502))
+      .mockResolvedValueOnce(errorResponse(500))
+      .mockResolvedValueOnce(okResponse);
+
+    const response = await baserowFetch(url, { method: 'GET' });
+
+    expect(response).toBe(okResponse);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should retry GET requests on network errors', async () => {
+    fetch
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce(okResponse);
+
+    const response = await baserowFetch(url, { method: 'GET' });
+
+    expect(response).toBe(okResponse);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return the last response once retries are used up', async () => {
+    process.env.BASEROW_HTTP_RETRIES = '2';
+    fetch.mockResolvedValue(errorResponse(500));
+
+    const response = await baserowFetch(url, { method: 'GET' });
+
+    expect(response.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry client errors', async () => {
+    fetch.mockResolvedValueOnce(errorResponse(404));
+
+    const response = await baserowFetch(url, { method: 'GET' });
+
+    expect(response.status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only retry POST requests that were not processed', async () => {
+    fetch.mockResolvedValueOnce(errorResponse(500));
+
+    const failed = await baserowFetch(url, { method: 'POST', body: '{}' });
+
+    expect(failed.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    fetch.mockReset();
+    fetch
+      .mockResolvedValueOnce(errorResponse(429))
+      .mockResolvedValueOnce(errorResponse(503))
+      .mockResolvedValueOnce(okResponse);
+
+    const response = await baserowFetch(url, { method: 'POST', body: '{}' });
+
+    expect(response).toBe(okResponse);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry POST requests on network errors', async () => {
+    fetch.mockRejectedValueOnce(new Error('socket hang up'));
+
+    await expect(baserowFetch(url, { method: 'POST', body: '{}' })).rejects.toThrow('socket hang up');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up when Retry-After is longer than the maximum delay', async () => {
+    fetch.mockResolvedValueOnce(errorResponse(429, { 'retry-after': '120' }));
+
+    const response = await baserowFetch(url, { method: 'GET' });
+
+    expect(response.status).toBe(429);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should create a fresh body for each attempt when given a factory', async () => {
+    const bodies = [];
+    fetch.mockImplementation(async (endpoint, init) => {
+      bodies.push(init.body);
+      return bodies.length === 1 ? errorResponse(503) : okResponse;
+    });
+
+    let created = 0;
+    await baserowFetch(url, { method: 'POST', body: () => `body ${++created}` });
+
+    expect(bodies).toEqual(['body 1', 'body 2']);
+  });
+
+  it('should abort requests that exceed the timeout', async () => {
+    process.env.BASEROW_HTTP_TIMEOUT_MS = '20';
+    process.env.BASEROW_HTTP_RETRIES = '0';
+    fetch.mockImplementation((endpoint, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    }));
+
+    await expect(baserowFetch(url, { method: 'GET' })).rejects.toThrow('Request timed out after 20ms');
+  });
+
+  it('should stop retrying when the caller aborts', async () => {
+    process.env.BASEROW_HTTP_RETRY_BASE_MS = '1000';
+    process.env.BASEROW_HTTP_RETRY_MAX_MS = '1000';
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const controller = new AbortController();
+    fetch.mockImplementation(async () => {
+      setTimeout(() => controller.abort(new Error('Cancelled')), 5);
+      return errorResponse(500);
+    });
+
+    await expect(baserowFetch(url, { method: 'GET', signal: controller.signal })).rejects.toThrow('Cancelled');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    Math.random.mockRestore();
+  });
+});
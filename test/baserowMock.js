@@ -0,0 +1,87 @@
+/**
+ * Shared setup for tests that run against a mocked Baserow API through the global fetch mock
+ */
+import { beforeEach, afterEach } from '@jest/globals';
+import { invalidateMetadataCache } from '../mcp_baserow_image.js';
+
+// Fields of the table most tests upload to: the primary field and a file field
+export const TABLE_FIELDS = [
+  { id: 501, name: 'Name', type: 'text', primary: true },
+  { id: 502, name: 'Photo', type: 'file', primary: false }
+];
+
+// Helper function to build a successful response with a JSON body
+export const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+// Helper function to build the response Baserow sends for unknown endpoints
+export const notFoundResponse = () => ({ ok: false, status: 404, statusText: 'Not Found', text: async () => '' });
+
+/**
+ * Connect the tests of the calling describe block to https://api.baserow.io with a database token,
+ * and start every test with empty metadata caches
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.allowPrivateUrls - Skip the private address check of the URL policy, as the example hosts of the tests don't resolve here
+ * @param {Array<string>} options.cleanup - More environment variables the tests set, removed after each test
+ */
+export function useBaserowEnv ({ allowPrivateUrls = false, cleanup = [] } = {}) {
+  beforeEach(() => {
+    process.env.BASEROW_API_URL = 'https://api.baserow.io';
+    process.env.BASEROW_API_TOKEN = 'test_token_123';
+    if (allowPrivateUrls) {
+      process.env.BASEROW_URL_ALLOW_PRIVATE = 'true';
+    }
+    invalidateMetadataCache();
+  });
+
+  afterEach(() => {
+    for (const name of ['BASEROW_API_URL', 'BASEROW_API_TOKEN', 'BASEROW_URL_ALLOW_PRIVATE', ...cleanup]) {
+      delete process.env[name];
+    }
+  });
+}
+
+/**
+ * Answer every fetch call by its endpoint instead of by call order. Routes are tried in order: a
+ * string matches endpoints containing it, a RegExp is matched against the endpoint. The first match
+ * answers with `respond(endpoint, options, match)`. The field list of any table is answered with
+ * `fields` unless a route handles it (or `fields` is null), and everything else gets a 404.
+ * @param {Array<Array>} routes - `[matcher, respond]` pairs
+ * @param {Object} options - Optional settings
+ * @param {Array<Object>|null} options.fields - Fields of every table (default: TABLE_FIELDS)
+ */
+export function routeFetch (routes, { fields = TABLE_FIELDS } = {}) {
+  fetch.mockReset();
+  fetch.mockImplementation(async (endpoint, options = {}) => {
+    for (const [matcher, respond] of routes) {
+      const match = typeof matcher === 'string' ? endpoint.includes(matcher) && [endpoint] : matcher.exec(endpoint);
+      if (match) {
+        return respond(endpoint, options, match);
+      }
+    }
+    if (fields && endpoint.includes('/api/database/fields/table/')) {
+      return jsonResponse(fields);
+    }
+    return notFoundResponse();
+  });
+}
+
+/**
+ * Read the file part of a multipart upload body sent to /api/user-files/upload-file/
+ * @param {AsyncIterable<Buffer>} body - The request body
+ * @returns {Promise<Object>} `{ name, mimeType, content, raw }` where raw is the whole body as latin1 text
+ */
+export async function readUpload (body) {
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  const bytes = Buffer.concat(chunks);
+  const headerEnd = bytes.indexOf('\r\n\r\n') + 4;
+  const headers = bytes.subarray(0, headerEnd).toString('latin1');
+  return {
+    name: /filename="([^"]+)"/.exec(headers)[1],
+    mimeType: /Content-Type: (\S+)/.exec(headers)[1],
+    content: bytes.subarray(headerEnd, bytes.lastIndexOf('\r\n--')),
+    raw: bytes.toString('latin1')
+  };
+}
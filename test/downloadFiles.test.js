@@ -0,0 +1,151 @@
+/**
+ * Tests for downloadFiles function
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { downloadFiles } from '../mcp_baserow_image.js';
+import { TABLE_FIELDS, jsonResponse, notFoundResponse, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('downloadFiles', () => {
+  let tempDir;
+
+  // Files in the Invoice field of each row of table 100
+  const rows = {
+    7: [
+      { name: 'abc_invoice.pdf', visible_name: 'invoice.pdf', url: 'https://files.baserow.io/user_files/abc_invoice.pdf' },
+      { name: 'def_invoice.pdf', visible_name: 'invoice.pdf', url: 'https://files.baserow.io/user_files/def_invoice.pdf' }
+    ],
+    8: [
+      { name: 'ghi_receipt.png', visible_name: '../../.receipt.png', url: '/media/user_files/ghi_receipt.png' }
+    ]
+  };
+
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+  useBaserowEnv({ cleanup: ['BASEROW_FILE_ROOTS'] });
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'download-files-test-')));
+
+    routeFetch([
+      [/\/api\/database\/rows\/table\/100\/(\d+)\/$/, (endpoint, options, [, rowId]) => rows[rowId]
+        ? jsonResponse({ id: Number(rowId), field_502: rows[rowId] })
+        : notFoundResponse()],
+      ['/user_files/', (endpoint) => ({ ok: true, status: 200, body: [Buffer.from('content of '), Buffer.from(endpoint.split('/').pop())] })]
+    ], { fields: [TABLE_FIELDS[0], { ...TABLE_FIELDS[1], name: 'Invoice' }] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write the files of each row with their checksums', async () => {
+    const result = await downloadFiles('100', ['7', '8'], 'Invoice', tempDir);
+
+    expect(result).toEqual({
+      success: true,
+      directory: tempDir,
+      files: [
+        {
+          rowId: '7',
+          name: 'abc_invoice.pdf',
+          visible_name: 'invoice.pdf',
+          path: path.join(tempDir, 'invoice.pdf'),
+          size: 26,
+          sha256: sha256('content of abc_invoice.pdf')
+        },
+        {
+          rowId: '7',
+          name: 'def_invoice.pdf',
+          visible_name: 'invoice.pdf',
+          path: path.join(tempDir, 'invoice (2).pdf'),
+          size: 26,
+          sha256: sha256('content of def_invoice.pdf')
+        },
+        {
+          rowId: '8',
+          name: 'ghi_receipt.png',
+          visible_name: '../../.receipt.png',
+          path: path.join(tempDir, '_.._.receipt.png'),
+          size: 26,
+          sha256: sha256('content of ghi_receipt.png')
+        }
+      ],
+      errors: [],
+      message: `Downloaded 3 of 3 files from 2 row(s) to ${tempDir}`
+    });
+    expect(fs.readFileSync(path.join(tempDir, 'invoice (2).pdf'), 'utf8')).toBe('content of def_invoice.pdf');
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['_.._.receipt.png', 'invoice (2).pdf', 'invoice.pdf']);
+  });
+
+  it('should resolve relative file URLs against the API URL without sending the token', async () => {
+    await downloadFiles('100', ['8'], 'Invoice', tempDir);
+
+    const download = fetch.mock.calls.find(([endpoint]) => endpoint.includes('/media/'));
+    expect(download[0]).toBe('https://api.baserow.io/media/user_files/ghi_receipt.png');
+    expect(download[1].headers).toBeUndefined();
+  });
+
+  it('should name files by their stored name and group them by row', async () => {
+    const result = await downloadFiles('100', ['7', '8'], '502', tempDir, { naming: 'name', groupByRow: true });
+
+    expect(result.files.map(file => path.relative(tempDir, file.path))).toEqual([
+      path.join('7', 'abc_invoice.pdf'),
+      path.join('7', 'def_invoice.pdf'),
+      path.join('8', 'ghi_receipt.png')
+    ]);
+  });
+
+  it('should keep existing files unless overwriting', async () => {
+    fs.writeFileSync(path.join(tempDir, 'invoice.pdf'), 'edited');
+
+    const kept = await downloadFiles('100', ['7'], 'Invoice', tempDir);
+    expect(kept.files.map(file => path.basename(file.path))).toEqual(['invoice (2).pdf', 'invoice (3).pdf']);
+    expect(fs.readFileSync(path.join(tempDir, 'invoice.pdf'), 'utf8')).toBe('edited');
+
+    const replaced = await downloadFiles('100', ['7'], 'Invoice', tempDir, { overwrite: true });
+    expect(replaced.files.map(file => path.basename(file.path))).toEqual(['invoice.pdf', 'invoice (2).pdf']);
+    expect(fs.readFileSync(path.join(tempDir, 'invoice.pdf'), 'utf8')).toBe('content of abc_invoice.pdf');
+  });
+
+  it('should report rows and files that fail without leaving partial files', async () => {
+    rows[9] = [{ name: 'gone.pdf', visible_name: 'gone.pdf', url: 'https://files.baserow.io/missing/gone.pdf' }];
+
+    const result = await downloadFiles('100', ['8', '9', '10'], 'Invoice', tempDir);
+    delete rows[9];
+
+    expect(result.success).toBe(false);
+    expect(result.files).toHaveLength(1);
+    expect(result.errors).toEqual([
+      { rowId: '10', error: 'Failed to read row 10: 404 Not Found' },
+      { rowId: '9', name: 'gone.pdf', error: 'Failed to download https://files.baserow.io/missing/gone.pdf: 404 Not Found' }
+    ]);
+    expect(fs.readdirSync(tempDir)).toEqual(['_.._.receipt.png']);
+  });
+
+  it('should refuse directories outside the file roots and fields that are not file fields', async () => {
+    process.env.BASEROW_FILE_ROOTS = path.join(tempDir, 'archive');
+    fs.mkdirSync(path.join(tempDir, 'archive'));
+
+    const outside = await downloadFiles('100', ['7'], 'Invoice', tempDir);
+    const notFile = await downloadFiles('100', ['7'], 'Name', path.join(tempDir, 'archive'));
+
+    const missingOutside = await downloadFiles('100', ['7'], 'Invoice', path.join(tempDir, 'missing'));
+
+    expect(outside.validation_error.code).toBe('path_not_allowed');
+    expect(missingOutside.validation_error.code).toBe('path_not_allowed');
+    expect(notFile.validation_error).toEqual({
+      code: 'field_not_file',
+      field: 'Name',
+      message: 'Field "Name" is a text field, not a file field'
+    });
+    await expect(downloadFiles('100', ['7'], 'Invoice', path.join(tempDir, 'archive', 'missing')))
+      .rejects.toThrow(`Download failed: Directory not found: ${path.join(tempDir, 'archive', 'missing')}`);
+  });
+});
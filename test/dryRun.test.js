@@ -0,0 +1,142 @@
+/**
+ * Tests for dry runs of the upload tools
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadImageUrl, uploadFile, uploadContent, uploadBatch } from '../mcp_baserow_image.js';
+import { TABLE_FIELDS, jsonResponse, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('Dry runs', () => {
+  let tempDir;
+  const oldFile = { name: 'hash_old.jpg', visible_name: 'old.jpg' };
+  const plannedFile = (visibleName) => ({ name: '(assigned on upload)', visible_name: visibleName });
+
+  useBaserowEnv({ allowPrivateUrls: true });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+
+    routeFetch([
+      ['/api/database/rows/table/100/?', () => jsonResponse({ count: 1, results: [{ id: 7 }] })],
+      ['/api/database/rows/table/100/7/', () => jsonResponse({ id: 7, field_502: [oldFile] })]
+    ], { fields: [TABLE_FIELDS[0], { ...TABLE_FIELDS[1], file_types: 'image/*' }] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Dry runs may read from Baserow, but never write to it
+  const expectNoWrites = () => {
+    expect(fetch.mock.calls.filter(([, options]) => options.method !== 'GET')).toEqual([]);
+  };
+
+  it('should report the upload and row update with the current and new field value', async () => {
+    const result = await uploadImageUrl('https://example.com/new.jpg', undefined, '100', '7', 'Photo', { attachMode: 'append', dryRun: true });
+
+    expect(result).toEqual({
+      success: true,
+      dry_run: true,
+      plan: {
+        upload: {
+          method: 'POST',
+          endpoint: 'https://api.baserow.io/api/user-files/upload-via-url/',
+          payload: { url: 'https://example.com/new.jpg' }
+        },
+        row: {
+          method: 'PATCH',
+          endpoint: 'https://api.baserow.io/api/database/rows/table/100/7/',
+          rowId: '7',
+          field: 'Photo',
+          current: [oldFile],
+          new: [oldFile, plannedFile('new.jpg')],
+          payload: { field_502: [oldFile, plannedFile('new.jpg')] }
+        }
+      }
+    });
+    expectNoWrites();
+  });
+
+  it('should resolve rows matched by value and plan row creation', async () => {
+    const matched = await uploadImageUrl('https://example.com/new.jpg', 'cover.jpg', '100', undefined, 'Photo', {
+      rowMatch: { value: 'Blue Mug' },
+      dryRun: true
+    });
+    const created = await uploadImageUrl('https://example.com/new.jpg', undefined, '100', undefined, 'Photo', {
+      createRow: true,
+      rowValues: { Name: 'Plate' },
+      dryRun: true
+    });
+
+    expect(matched.plan.upload.payload).toEqual({ url: 'https://example.com/new.jpg', filename: 'cover.jpg' });
+    expect(matched.plan.row).toMatchObject({ method: 'PATCH', rowId: '7', new: [plannedFile('cover.jpg')] });
+    expect(created.plan.row).toEqual({
+      method: 'POST',
+      endpoint: 'https://api.baserow.io/api/database/rows/table/100/',
+      field: 'Photo',
+      current: [],
+      new: [plannedFile('new.jpg')],
+      payload: { field_501: 'Plate', field_502: [plannedFile('new.jpg')] }
+    });
+    expectNoWrites();
+  });
+
+  it('should not download URLs in local fetch mode', async () => {
+    const result = await uploadImageUrl('https://example.com/new.jpg', undefined, undefined, undefined, undefined, { fetchMode: 'local', dryRun: true });
+
+    expect(result.plan).toEqual({
+      upload: {
+        method: 'POST',
+        endpoint: 'https://api.baserow.io/api/user-files/upload-file/',
+        payload: { file: { name: 'new.jpg', downloadedFrom: 'https://example.com/new.jpg' } }
+      }
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should describe local files and inline content without uploading them', async () => {
+    const filePath = path.join(tempDir, 'photo.png');
+    fs.writeFileSync(filePath, 'png-bytes');
+
+    const file = await uploadFile(filePath, undefined, '100', '7', 'Photo', { visibleName: 'Blue mug.png', dryRun: true });
+    const content = await uploadContent(Buffer.from('gif').toString('base64'), 'anim.gif', undefined, undefined, undefined, { dryRun: true });
+
+    expect(file.plan.upload.payload).toEqual({ file: { name: 'photo.png', mimeType: 'image/png', size: 9 } });
+    expect(file.plan.row.new).toEqual([plannedFile('Blue mug.png')]);
+    expect(content.plan).toEqual({
+      upload: {
+        method: 'POST',
+        endpoint: 'https://api.baserow.io/api/user-files/upload-file/',
+        payload: { file: { name: 'anim.gif', mimeType: 'image/gif', size: 3 } }
+      }
+    });
+    expectNoWrites();
+  });
+
+  it('should still refuse uploads that would fail validation', async () => {
+    const filePath = path.join(tempDir, 'report.pdf');
+    fs.writeFileSync(filePath, '%PDF');
+
+    const result = await uploadFile(filePath, undefined, '100', '7', 'Photo', { dryRun: true });
+
+    expect(result.validation_error.code).toBe('file_type_not_allowed');
+  });
+
+  it('should plan every item of a batch', async () => {
+    const result = await uploadBatch([
+      { url: 'https://example.com/a.jpg', rowId: '7' },
+      { url: 'https://example.com/b.jpg', rowId: '8' }
+    ], { tableId: '100', fieldName: 'Photo', dryRun: true });
+
+    expect(result.results.map(item => item.status)).toEqual(['planned', 'failed']);
+    expect(result.results[0].plan.row.endpoint).toBe('https://api.baserow.io/api/database/rows/table/100/7/');
+    expect(result.results[1].error).toBe('Upload failed: Failed to read row 8: 404 Not Found');
+    expect(result.message).toBe('Dry run: 1 of 2 files would be uploaded (1 would fail); nothing was uploaded');
+    expectNoWrites();
+  });
+});
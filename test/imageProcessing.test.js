@@ -0,0 +1,142 @@
+/**
+ * Tests for image processing before uploads
+ */
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadFile, uploadImageUrl } from '../mcp_baserow_image.js';
+import { TABLE_FIELDS, jsonResponse, readUpload, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+// sharp is an optional dependency, so these tests only run where it is installed
+const sharp = await import('sharp').then(module => module.default, () => null);
+
+(sharp ? describe : describe.skip)('Image processing', () => {
+  let tempDir;
+  let uploads;
+  let photoPng;
+  let photoJpeg;
+
+  // A photo taken somewhere, with its location in the EXIF GPS tags
+  const exif = {
+    IFD0: { Make: 'Camera', Copyright: 'Someone' },
+    IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '13/1 24/1 0/1' }
+  };
+
+  const image = (width, height) => sharp({ create: { width, height, channels: 3, background: '#3366cc' } });
+
+  beforeAll(async () => {
+    photoPng = await image(800, 400).png().withExif(exif).toBuffer();
+    photoJpeg = await image(300, 300).jpeg().withExif(exif).toBuffer();
+  });
+
+  useBaserowEnv({ allowPrivateUrls: true });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-processing-test-'));
+    uploads = [];
+
+    routeFetch([
+      ['/api/user-files/upload-file/', async (endpoint, options) => {
+        const upload = await readUpload(options.body);
+        uploads.push(upload);
+        return jsonResponse({ name: `hash_${upload.name}`, original_name: upload.name });
+      }],
+      ['https://example.com/photo.png', () => ({ ok: true, status: 200, headers: new Headers({ 'content-type': 'image/png' }), body: [photoPng] })],
+      ['/api/database/rows/table/100/7/', () => jsonResponse({ id: 7, field_502: [] })]
+    ], { fields: [TABLE_FIELDS[0], { ...TABLE_FIELDS[1], file_types: 'image/*' }] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const patchBodies = () => fetch.mock.calls
+    .filter(([, options]) => options.method === 'PATCH')
+    .map(([, options]) => JSON.parse(options.body));
+
+  it('should resize and convert the image and report its size before and after', async () => {
+    const filePath = writeFile('photo.png', photoPng);
+
+    const result = await uploadFile(filePath, undefined, '100', '7', 'Photo', {
+      imageProcessing: { maxWidth: 200, format: 'webp', quality: 60 }
+    });
+
+    expect(uploads).toHaveLength(1);
+    expect(uploads[0]).toMatchObject({ name: 'photo.webp', mimeType: 'image/webp' });
+    const uploaded = await sharp(uploads[0].content).metadata();
+    expect(uploaded).toMatchObject({ format: 'webp', width: 200, height: 100 });
+    expect(uploaded.exif).toBeUndefined();
+
+    expect(result.image_processing).toEqual({
+      before: { format: 'png', width: 800, height: 400, size: photoPng.length },
+      after: { format: 'webp', width: 200, height: 100, size: uploads[0].content.length },
+      metadataStripped: true
+    });
+    expect(patchBodies()).toEqual([{ field_502: [{ name: 'hash_photo.webp', visible_name: 'photo.webp' }] }]);
+  });
+
+  it('should strip EXIF and GPS metadata while keeping the format and name', async () => {
+    const filePath = writeFile('holiday.jpeg', photoJpeg);
+    expect((await sharp(photoJpeg).metadata()).exif).toBeDefined();
+
+    const stripped = await uploadFile(filePath, undefined, undefined, undefined, undefined, { imageProcessing: {} });
+    const kept = await uploadFile(filePath, undefined, undefined, undefined, undefined, { imageProcessing: { stripMetadata: false } });
+
+    expect(uploads.map(upload => [upload.name, upload.mimeType])).toEqual([['holiday.jpeg', 'image/jpeg'], ['holiday.jpeg', 'image/jpeg']]);
+    expect((await sharp(uploads[0].content).metadata()).exif).toBeUndefined();
+    expect((await sharp(uploads[1].content).metadata()).exif).toBeDefined();
+    expect(stripped.image_processing).toMatchObject({ after: { format: 'jpeg', width: 300, height: 300 }, metadataStripped: true });
+    expect(kept.image_processing.metadataStripped).toBe(false);
+  });
+
+  it('should process URLs that are downloaded locally', async () => {
+    const result = await uploadImageUrl('https://example.com/photo.png', undefined, undefined, undefined, undefined, {
+      fetchMode: 'local',
+      imageProcessing: { maxHeight: 100, format: 'jpeg' }
+    });
+
+    expect(uploads[0]).toMatchObject({ name: 'photo.jpg', mimeType: 'image/jpeg' });
+    expect(result.image_processing.after).toMatchObject({ format: 'jpeg', width: 200, height: 100 });
+    await expect(uploadImageUrl('https://example.com/photo.png', undefined, undefined, undefined, undefined, {
+      fetchMode: 'baserow',
+      imageProcessing: {}
+    })).rejects.toThrow('Upload failed: Image processing needs fetchMode "local"');
+  });
+
+  it('should refuse files that are not images without uploading them', async () => {
+    const filePath = writeFile('notes.png', 'not an image');
+
+    const result = await uploadFile(filePath, undefined, '100', '7', 'Photo', { imageProcessing: { format: 'webp' } });
+
+    expect(result.success).toBe(false);
+    expect(result.validation_error.code).toBe('image_processing_failed');
+    expect(result.validation_error.message).toMatch(/^"notes.png" can't be processed as an image: /);
+    expect(uploads).toEqual([]);
+    expect(patchBodies()).toEqual([]);
+  });
+
+  it('should report the processed image on dry runs', async () => {
+    const filePath = writeFile('photo.png', photoPng);
+
+    const result = await uploadFile(filePath, undefined, '100', '7', 'Photo', {
+      imageProcessing: { maxWidth: 400, format: 'webp' },
+      dryRun: true
+    });
+
+    expect(result.dry_run).toBe(true);
+    expect(result.plan.upload.payload).toEqual({ file: { name: 'photo.webp', mimeType: 'image/webp', size: result.image_processing.after.size } });
+    expect(result.plan.row.new).toEqual([{ name: '(assigned on upload)', visible_name: 'photo.webp' }]);
+    expect(result.image_processing.after).toMatchObject({ width: 400, height: 200 });
+    expect(uploads).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for image processing when the optional sharp package is missing
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import { createRequire } from 'module';
+import os from 'os';
+import path from 'path';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+// Fail to load sharp like a missing package does; where it really is missing, the mock has to be virtual
+const sharpMissing = (() => {
+  try {
+    createRequire(import.meta.url).resolve('sharp');
+    return false;
+  } catch {
+    return true;
+  }
+})();
+jest.unstable_mockModule('sharp', () => {
+  throw new Error('Cannot find package sharp');
+}, { virtual: sharpMissing });
+const { uploadFile } = await import('../mcp_baserow_image.js');
+const { useBaserowEnv } = await import('./baserowMock.js');
+
+describe('Image processing without sharp', () => {
+  let tempDir;
+
+  useBaserowEnv();
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-processing-test-'));
+    fetch.mockReset();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should explain how to install sharp and upload nothing', async () => {
+    const filePath = path.join(tempDir, 'photo.png');
+    fs.writeFileSync(filePath, 'png-bytes');
+
+    await expect(uploadFile(filePath, undefined, undefined, undefined, undefined, { imageProcessing: { format: 'webp' } }))
+      .rejects.toThrow('File upload failed: Image processing needs the optional sharp package; install it with `npm install sharp`');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should upload files unchanged when no image processing is asked for', async () => {
+    fetch.mockResolvedValue({ ok: true, json: async () => ({ name: 'hash_photo.png' }) });
+    const filePath = path.join(tempDir, 'photo.png');
+    fs.writeFileSync(filePath, 'png-bytes');
+
+    const result = await uploadFile(filePath);
+
+    expect(result).toEqual({ success: true, uploaded_file: { name: 'hash_photo.png' } });
+  });
+});
@@ -1,5 +1,7 @@
 import { spawn } from 'child_process';
 import { jest } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 
 describe('MCP Server Integration', () => {
   let env;
@@ -32,6 +34,25 @@ describe('MCP Server Integration', () => {
     }, 1000);
   }, 10000);
 
+  test('should declare an output schema for every tool', async () => {
+    const client = new Client({ name: 'integration-test', version: '1.0.0' });
+    await client.connect(new StdioClientTransport({
+      command: 'node',
+      args: ['mcp_baserow_image.js'],
+      env
+    }));
+
+    try {
+      const { tools } = await client.listTools();
+      expect(tools.map(tool => tool.name)).toEqual(['upload_image_url', 'upload_file', 'upload_content', 'upload_batch', 'upload_directory', 'download_files', 'manage_file_field', 'read_baserow_structure']);
+      for (const tool of tools) {
+        expect(tool.outputSchema).toEqual(expect.objectContaining({ type: 'object' }));
+      }
+    } finally {
+      await client.close();
+    }
+  }, 10000);
+
   test('server exports uploadImageUrl function', async () => {
     const { uploadImageUrl } = await import('../mcp_baserow_image.js');
     expect(typeof uploadImageUrl).toBe('function');
@@ -0,0 +1,117 @@
+/**
+ * Tests for manageFileField function
+ */
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { manageFileField } from '../mcp_baserow_image.js';
+import { TABLE_FIELDS, jsonResponse, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('manageFileField', () => {
+  let rowFiles;
+
+  const front = { name: 'abc_front.jpg', visible_name: 'front.jpg', url: 'https://files.baserow.io/abc_front.jpg' };
+  const back = { name: 'def_back.jpg', visible_name: 'back.jpg', url: 'https://files.baserow.io/def_back.jpg' };
+  const copy = { name: 'ghi_back.jpg', visible_name: 'back.jpg', url: 'https://files.baserow.io/ghi_back.jpg' };
+
+  // The file field is named Photos in this table
+  const fields = [TABLE_FIELDS[0], { ...TABLE_FIELDS[1], name: 'Photos' }];
+
+  useBaserowEnv();
+
+  beforeEach(() => {
+    rowFiles = [front, back, copy];
+
+    routeFetch([
+      ['/api/database/rows/table/100/7/', (endpoint, options) => {
+        if (options.method === 'PATCH') {
+          rowFiles = JSON.parse(options.body).field_502;
+        }
+        return jsonResponse({ id: 7, field_502: rowFiles });
+      }]
+    ], { fields });
+  });
+
+  const patchBodies = () => fetch.mock.calls
+    .filter(([, options]) => options.method === 'PATCH')
+    .map(([, options]) => JSON.parse(options.body));
+
+  it('should list the files of the field', async () => {
+    const result = await manageFileField('100', '7', 'Photos');
+
+    expect(result).toEqual({
+      success: true,
+      rowId: '7',
+      field: 'Photos',
+      files: [front, back, copy],
+      message: 'The field "Photos" of row 7 in table 100 holds 3 file(s)'
+    });
+    expect(patchBodies()).toEqual([]);
+  });
+
+  it('should remove files selected by position, name or visible name', async () => {
+    const result = await manageFileField('100', '7', '502', { action: 'remove', files: [0, 'ghi_back.jpg'] });
+
+    expect(patchBodies()).toEqual([{ field_502: [back] }]);
+    expect(result).toMatchObject({
+      success: true,
+      files: [back],
+      previous_files: [front, back, copy],
+      updated_row: { id: 7 },
+      message: 'Removed 2 file(s) from the field "Photos" of row 7 in table 100, 1 left'
+    });
+
+    await manageFileField('100', '7', 'Photos', { action: 'remove', files: ['back.jpg'] });
+    expect(rowFiles).toEqual([]);
+  });
+
+  it('should move the given files to the front in the given order', async () => {
+    const result = await manageFileField('100', '7', 'Photos', { action: 'reorder', files: ['ghi_back.jpg', 'front.jpg'] });
+
+    expect(patchBodies()).toEqual([{ field_502: [copy, front, back] }]);
+    expect(result.message).toBe('Reordered the 3 file(s) of the field "Photos" of row 7 in table 100');
+  });
+
+  it('should rename the visible name of one file', async () => {
+    const result = await manageFileField('100', '7', 'Photos', { action: 'rename', files: ['front.jpg'], visibleName: 'cover.jpg' });
+
+    expect(patchBodies()).toEqual([{ field_502: [{ ...front, visible_name: 'cover.jpg' }, back, copy] }]);
+    expect(result.message).toBe('Renamed "front.jpg" to "cover.jpg" in the field "Photos" of row 7 in table 100');
+  });
+
+  it('should refuse unknown and ambiguous files without changing the field', async () => {
+    const ambiguous = await manageFileField('100', '7', 'Photos', { action: 'remove', files: [0, 'back.jpg'] });
+    const position = await manageFileField('100', '7', 'Photos', { action: 'reorder', files: [3] });
+    const unknown = await manageFileField('100', '7', 'Photos', { action: 'rename', files: ['side.jpg'], visibleName: 'x.jpg' });
+
+    expect(ambiguous.validation_error).toEqual({
+      code: 'ambiguous_file',
+      field: 'Photos',
+      message: 'Field "Photos" holds 2 files named "back.jpg"; select one by its name or position'
+    });
+    expect(position.validation_error.message).toBe('Field "Photos" has no file at position 3, it holds 3 file(s)');
+    expect(unknown.validation_error).toEqual({ code: 'file_not_found', field: 'Photos', message: 'Field "Photos" has no file named "side.jpg"' });
+    expect(patchBodies()).toEqual([]);
+  });
+
+  it('should report failed row updates and incomplete arguments', async () => {
+    routeFetch([
+      ['/api/database/rows/', (endpoint, options) => options.method === 'PATCH'
+        ? { ok: false, status: 400, statusText: 'Bad Request', text: async () => '' }
+        : jsonResponse({ id: 7, field_502: rowFiles })]
+    ], { fields });
+
+    const result = await manageFileField('100', '7', 'Photos', { action: 'remove', files: [0] });
+
+    expect(result).toMatchObject({
+      success: false,
+      files: [front, back, copy],
+      row_update_error: 'Failed to update row: 400 Bad Request'
+    });
+    await expect(manageFileField('100', '7', 'Photos', { action: 'remove' }))
+      .rejects.toThrow('File field update failed: Action "remove" needs the files to act on');
+    await expect(manageFileField('100', '7', 'Photos', { action: 'rename', files: [0, 1], visibleName: 'x.jpg' }))
+      .rejects.toThrow('Action "rename" needs exactly one file and a visibleName');
+  });
+});
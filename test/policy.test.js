@@ -0,0 +1,281 @@
+/**
+ * Tests for the table/field allowlist and read-only safety policy
+ */
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { checkToolPolicy, uploadBatch, TOOL_ARGS_SCHEMAS } from '../mcp_baserow_image.js';
+import { TABLE_FIELDS, jsonResponse, notFoundResponse, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('Safety policy', () => {
+  let rowFiles;
+
+  useBaserowEnv({
+    allowPrivateUrls: true,
+    cleanup: ['BASEROW_ALLOWED_TABLES', 'BASEROW_ALLOWED_FIELDS', 'BASEROW_READ_ONLY', 'BASEROW_CONFIRM_OVERWRITE']
+  });
+
+  beforeEach(() => {
+    rowFiles = [{ name: 'old.jpg', visible_name: 'old.jpg' }];
+
+    routeFetch([
+      ['/api/database/rows/table/100/?', () => jsonResponse({ count: 1, results: [{ id: 7 }] })],
+      ['/api/database/rows/table/100/', () => jsonResponse({ id: 7, field_502: rowFiles, field_503: rowFiles })],
+      ['/api/user-files/upload-via-url/', () => jsonResponse({ name: 'new.jpg', url: 'https://files.baserow.io/new.jpg' })]
+    ], { fields: [...TABLE_FIELDS, { id: 503, name: 'Logo', type: 'file', primary: false, multiple_files: false }] });
+  });
+
+  const upload = (args) => ({ url: 'https://example.com/new.jpg', tableId: '100', rowId: '7', fieldName: 'Photo', ...args });
+
+  it('should allow everything when no policy is configured', async () => {
+    const refused = await checkToolPolicy('upload_image_url', upload(), undefined);
+
+    expect(refused.size).toBe(0);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should not check reads', async () => {
+    process.env.BASEROW_READ_ONLY = 'true';
+
+    const refused = await checkToolPolicy('read_baserow_structure', {}, undefined);
+
+    expect(refused.size).toBe(0);
+  });
+
+  it('should refuse tables outside BASEROW_ALLOWED_TABLES', async () => {
+    process.env.BASEROW_ALLOWED_TABLES = '200,300';
+
+    const refused = await checkToolPolicy('upload_image_url', upload(), undefined);
+
+    expect(refused.get(0)).toEqual({
+      code: 'table_not_allowed',
+      message: 'Table 100 is not in the allowed tables of profile "default"'
+    });
+  });
+
+  it('should only accept numeric table and row IDs, which end up in API paths', () => {
+    const traversal = '7/../../../table/200/9';
+
+    expect(TOOL_ARGS_SCHEMAS.upload_image_url.safeParse(upload()).success).toBe(true);
+    expect(TOOL_ARGS_SCHEMAS.upload_image_url.safeParse(upload({ rowId: traversal })).success).toBe(false);
+    expect(TOOL_ARGS_SCHEMAS.upload_file.safeParse({ filePath: '/tmp/a.jpg', tableId: '100/../200', rowId: '7', fieldName: 'Photo' }).success).toBe(false);
+    expect(TOOL_ARGS_SCHEMAS.upload_batch.safeParse({ items: [upload({ rowId: traversal })] }).success).toBe(false);
+    expect(TOOL_ARGS_SCHEMAS.download_files.safeParse({ tableId: '100', rowIds: ['7', traversal], fieldName: 'Photo', directory: '/tmp' }).success).toBe(false);
+    expect(TOOL_ARGS_SCHEMAS.manage_file_field.safeParse({ tableId: '100', rowId: traversal, fieldName: 'Photo' }).success).toBe(false);
+  });
+
+  describe('allowed fields', () => {
+    beforeEach(() => {
+      process.env.BASEROW_ALLOWED_FIELDS = JSON.stringify({ 100: ['Photo', 'field_501'] });
+    });
+
+    it('should allow fields listed by name or ID', async () => {
+      const refused = await checkToolPolicy('upload_image_url', upload({ fieldName: '502' }), undefined);
+
+      expect(refused.size).toBe(0);
+    });
+
+    it('should refuse other fields of the table', async () => {
+      const refused = await checkToolPolicy('upload_image_url', upload({ fieldName: 'Logo' }), undefined);
+
+      expect(refused.get(0)).toEqual({
+        code: 'field_not_allowed',
+        field: 'Logo',
+        message: 'Field "Logo" of table 100 is not in the allowed fields of profile "default"'
+      });
+    });
+
+    it('should check the extra values of created rows', async () => {
+      const args = upload({ rowId: undefined, createRow: true, rowValues: { Name: 'Mug', Logo: [] } });
+
+      const refused = await checkToolPolicy('upload_image_url', args, undefined);
+
+      expect(refused.get(0).code).toBe('field_not_allowed');
+      expect(refused.get(0).field).toBe('Logo');
+    });
+
+    it('should check the matched field of rows created for an unmatched rowMatch', async () => {
+      process.env.BASEROW_ALLOWED_FIELDS = JSON.stringify({ 100: ['Photo'] });
+      const byPrimary = upload({ rowId: undefined, rowMatch: { value: 'Mug', createIfMissing: true } });
+      const byField = upload({ rowId: undefined, rowMatch: { field: 'Logo', value: 'mug.png', createIfMissing: true } });
+      const matchOnly = upload({ rowId: undefined, rowMatch: { value: 'Mug' } });
+
+      const refusedPrimary = await checkToolPolicy('upload_image_url', byPrimary, undefined);
+      const refusedField = await checkToolPolicy('upload_image_url', byField, undefined);
+      const allowed = await checkToolPolicy('upload_image_url', matchOnly, undefined);
+
+      expect(refusedPrimary.get(0)).toMatchObject({ code: 'field_not_allowed', field: 'Name' });
+      expect(refusedField.get(0)).toMatchObject({ code: 'field_not_allowed', field: 'Logo' });
+      expect(allowed.size).toBe(0);
+    });
+
+    it('should reject invalid settings', async () => {
+      process.env.BASEROW_ALLOWED_FIELDS = '{"100": "Photo"}';
+
+      await expect(checkToolPolicy('upload_image_url', upload(), undefined)).rejects.toThrow(
+        'Invalid allowed fields in BASEROW_ALLOWED_FIELDS: expected an object mapping table IDs to lists of field names or IDs'
+      );
+    });
+  });
+
+  describe('read-only mode', () => {
+    beforeEach(() => {
+      process.env.BASEROW_READ_ONLY = 'true';
+    });
+
+    it('should refuse row updates and row creation', async () => {
+      const updated = await checkToolPolicy('upload_image_url', upload(), undefined);
+      const created = await checkToolPolicy('upload_image_url', upload({ rowId: undefined, createRow: true }), undefined);
+
+      expect(updated.get(0)).toEqual({
+        code: 'read_only',
+        message: 'Profile "default" is read-only: files can be uploaded, but rows can\'t be updated or created'
+      });
+      expect(created.get(0).code).toBe('read_only');
+    });
+
+    it('should still allow uploads without a row', async () => {
+      const refused = await checkToolPolicy('upload_file', { filePath: '/tmp/photo.jpg' }, undefined);
+
+      expect(refused.size).toBe(0);
+    });
+  });
+
+  describe('confirm before overwrite', () => {
+    beforeEach(() => {
+      process.env.BASEROW_CONFIRM_OVERWRITE = '1';
+    });
+
+    it('should refuse to replace a file field that holds files', async () => {
+      const refused = await checkToolPolicy('upload_image_url', upload(), undefined);
+
+      expect(refused.get(0)).toEqual({
+        code: 'overwrite_not_confirmed',
+        field: 'Photo',
+        message: 'Field "Photo" of row 7 in table 100 already holds 1 file(s); pass force: true to replace them'
+      });
+    });
+
+    it('should replace the files when forced', async () => {
+      const refused = await checkToolPolicy('upload_image_url', upload({ force: true }), undefined);
+
+      expect(refused.size).toBe(0);
+    });
+
+    it('should allow filling empty fields and appending files', async () => {
+      const appended = await checkToolPolicy('upload_image_url', upload({ attachMode: 'append' }), undefined);
+      rowFiles = [];
+      const filled = await checkToolPolicy('upload_image_url', upload(), undefined);
+
+      expect(appended.size).toBe(0);
+      expect(filled.size).toBe(0);
+    });
+
+    it('should treat any upload into a single-file field as a replacement', async () => {
+      const refused = await checkToolPolicy('upload_image_url', upload({ fieldName: 'Logo', attachMode: 'replace_by_name' }), undefined);
+
+      expect(refused.get(0).code).toBe('overwrite_not_confirmed');
+    });
+
+    it('should refuse replacing files by name only when a file of that name is in the field', async () => {
+      const replaced = await checkToolPolicy('upload_image_url', upload({ url: 'https://example.com/old.jpg', attachMode: 'replace_by_name' }), undefined);
+      const renamed = await checkToolPolicy('upload_image_url', upload({ attachMode: 'replace_by_name', visibleName: 'old.jpg' }), undefined);
+      const added = await checkToolPolicy('upload_image_url', upload({ attachMode: 'replace_by_name' }), undefined);
+
+      expect(replaced.get(0)).toEqual({
+        code: 'overwrite_not_confirmed',
+        field: 'Photo',
+        message: 'Field "Photo" of row 7 in table 100 already holds a file named "old.jpg"; pass force: true to replace it'
+      });
+      expect(renamed.get(0).code).toBe('overwrite_not_confirmed');
+      expect(added.size).toBe(0);
+    });
+
+    it('should look up rows matched by value', async () => {
+      const args = upload({ rowId: undefined, rowMatch: { value: 'Blue Mug' } });
+
+      const refused = await checkToolPolicy('upload_image_url', args, undefined);
+
+      expect(refused.get(0).message).toContain('row 7 in table 100');
+    });
+
+    it('should refuse uploads whose row cannot be read', async () => {
+      routeFetch([['/api/database/rows/', notFoundResponse]]);
+
+      const failed = await checkToolPolicy('upload_image_url', upload(), undefined);
+
+      expect(failed.get(0)).toEqual({
+        code: 'policy_check_failed',
+        message: 'Could not check the safety policy: Failed to read row 7: 404 Not Found'
+      });
+    });
+  });
+
+  describe('batches', () => {
+    it('should check every item with the batch defaults applied', async () => {
+      process.env.BASEROW_ALLOWED_FIELDS = JSON.stringify({ 100: ['Photo'] });
+      const args = {
+        tableId: '100',
+        fieldName: 'Photo',
+        items: [
+          { url: 'https://example.com/a.jpg', rowId: '7' },
+          { url: 'https://example.com/b.jpg', rowId: '7', fieldName: 'Logo' },
+          { url: 'https://example.com/c.jpg' }
+        ]
+      };
+
+      const refused = await checkToolPolicy('upload_batch', args, undefined);
+
+      expect([...refused.keys()]).toEqual([1]);
+      expect(refused.get(1).code).toBe('field_not_allowed');
+    });
+
+    it('should skip refused items and upload the rest', async () => {
+      const refusedItems = new Map([[1, { code: 'read_only', message: 'Profile "default" is read-only' }]]);
+
+      const result = await uploadBatch([
+        { url: 'https://example.com/a.jpg' },
+        { url: 'https://example.com/b.jpg', tableId: '100', rowId: '7', fieldName: 'Photo' }
+      ], { refusedItems });
+
+      expect(result.results.map(item => item.status)).toEqual(['uploaded', 'failed']);
+      expect(result.results[1].validation_error.code).toBe('read_only');
+      expect(fetch.mock.calls.filter(([endpoint]) => endpoint.includes('/upload-via-url/'))).toHaveLength(1);
+    });
+  });
+
+  describe('file field changes', () => {
+    const change = (args) => ({ tableId: '100', rowId: '7', fieldName: 'Photo', action: 'reorder', files: [0], ...args });
+
+    it('should refuse changes in read-only mode but still allow listing', async () => {
+      process.env.BASEROW_READ_ONLY = 'true';
+
+      const changed = await checkToolPolicy('manage_file_field', change(), undefined);
+      const listed = await checkToolPolicy('manage_file_field', change({ action: 'list' }), undefined);
+
+      expect(changed.get(0)).toEqual({
+        code: 'read_only',
+        message: 'Profile "default" is read-only: file fields can\'t be changed'
+      });
+      expect(listed.size).toBe(0);
+    });
+
+    it('should check allowed fields and confirm removals', async () => {
+      process.env.BASEROW_ALLOWED_FIELDS = JSON.stringify({ 100: ['Photo'] });
+      process.env.BASEROW_CONFIRM_OVERWRITE = 'true';
+
+      const otherField = await checkToolPolicy('manage_file_field', change({ fieldName: 'Logo' }), undefined);
+      const removed = await checkToolPolicy('manage_file_field', change({ action: 'remove' }), undefined);
+      const forced = await checkToolPolicy('manage_file_field', change({ action: 'remove', force: true }), undefined);
+
+      expect(otherField.get(0).code).toBe('field_not_allowed');
+      expect(removed.get(0)).toEqual({
+        code: 'overwrite_not_confirmed',
+        field: 'Photo',
+        message: 'Removing files from field "Photo" of row 7 in table 100 needs confirmation; pass force: true to remove them'
+      });
+      expect(forced.size).toBe(0);
+    });
+  });
+});
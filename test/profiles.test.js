@@ -0,0 +1,194 @@
+/**
+ * Tests for multiple Baserow profiles
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  uploadImageUrl,
+  readBaserowStructure,
+  listBaserowResources,
+  readBaserowResource
+} from '../mcp_baserow_image.js';
+import { jsonResponse, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('Baserow profiles', () => {
+  let tempDir;
+  let profilesFile;
+
+  useBaserowEnv({ allowPrivateUrls: true, cleanup: ['BASEROW_PROFILES_FILE'] });
+
+  const writeProfiles = (config) => {
+    fs.writeFileSync(profilesFile, JSON.stringify(config));
+    // Make sure the changed file is picked up even within the same mtime tick
+    const time = new Date(Date.now() + Math.random() * 1000000);
+    fs.utimesSync(profilesFile, time, time);
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baserow-profiles-'));
+    profilesFile = path.join(tempDir, 'profiles.json');
+    writeProfiles({
+      default: 'cloud',
+      profiles: {
+        cloud: { url: 'https://api.baserow.io', token: 'cloud_token', defaultWorkspace: 'Marketing' },
+        onprem: { url: 'https://baserow.internal/', token: 'onprem_token', allowedTables: [300] }
+      }
+    });
+    process.env.BASEROW_PROFILES_FILE = profilesFile;
+
+    routeFetch([
+      ['/api/workspaces/', (endpoint) => jsonResponse({
+        results: endpoint.startsWith('https://baserow.internal') ? [{ id: 7, name: 'Operations' }] : [{ id: 1, name: 'Marketing' }, { id: 2, name: 'Sales' }]
+      })],
+      ['/api/applications/workspace/', () => jsonResponse([{ id: 10, name: 'Assets', type: 'database' }])],
+      ['/api/database/tables/database/', () => jsonResponse([{ id: 300, name: 'Products', order: 0 }, { id: 301, name: 'Secrets', order: 1 }])],
+      ['/api/user-files/upload-via-url/', (endpoint) => jsonResponse({ name: 'photo.jpg', url: `${endpoint}photo.jpg` })]
+    ], { fields: [{ id: 401, name: 'Photo', type: 'file', primary: false }] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const authorizationFor = (prefix) => fetch.mock.calls
+    .filter(([endpoint]) => endpoint.startsWith(prefix))
+    .map(([, options]) => options.headers.Authorization);
+
+  describe('uploads', () => {
+    it('should use the default profile when none is given', async () => {
+      await uploadImageUrl('https://example.com/photo.jpg');
+
+      expect(fetch).toHaveBeenCalledWith('https://api.baserow.io/api/user-files/upload-via-url/', expect.anything());
+      expect(authorizationFor('https://api.baserow.io')).toEqual(['Token cloud_token']);
+    });
+
+    it('should upload to the instance of the requested profile', async () => {
+      await uploadImageUrl('https://example.com/photo.jpg', undefined, undefined, undefined, undefined, { profile: 'onprem' });
+
+      expect(fetch).toHaveBeenCalledWith('https://baserow.internal/api/user-files/upload-via-url/', expect.anything());
+      expect(authorizationFor('https://baserow.internal')).toEqual(['Token onprem_token']);
+    });
+
+    it('should refuse tables outside the allowed tables of the profile', async () => {
+      const result = await uploadImageUrl('https://example.com/photo.jpg', undefined, '301', '1', 'Photo', { profile: 'onprem' });
+
+      expect(result).toEqual({
+        success: false,
+        validation_error: {
+          code: 'table_not_allowed',
+          message: 'Table 301 is not in the allowed tables of profile "onprem"'
+        }
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should fail for unknown profiles', async () => {
+      await expect(uploadImageUrl('https://example.com/photo.jpg', undefined, undefined, undefined, undefined, { profile: 'staging' }))
+        .rejects.toThrow('Unknown Baserow profile "staging" (available: cloud, onprem)');
+    });
+
+    it('should report invalid profiles files', async () => {
+      writeProfiles({ profiles: { broken: { url: 'https://baserow.example' } } });
+
+      await expect(uploadImageUrl('https://example.com/photo.jpg'))
+        .rejects.toThrow('Baserow profile "broken" needs a url and either a token or an email and password');
+    });
+  });
+
+  describe('readBaserowStructure', () => {
+    it('should read every profile and label each workspace with its profile', async () => {
+      const result = await readBaserowStructure(false, 0);
+
+      expect(result.structure.profiles).toEqual([
+        { name: 'cloud', apiUrl: 'https://api.baserow.io' },
+        { name: 'onprem', apiUrl: 'https://baserow.internal' }
+      ]);
+      expect(result.structure.workspaces.map(w => [w.profile, w.name])).toEqual([
+        ['cloud', 'Marketing'],
+        ['onprem', 'Operations']
+      ]);
+    });
+
+    it('should only show the allowed tables of a profile', async () => {
+      const result = await readBaserowStructure(false, 0, { profile: 'onprem' });
+
+      expect(result.structure.workspaces[0].applications[0].tables.map(t => t.id)).toEqual([300]);
+      expect(fetch).not.toHaveBeenCalledWith('https://baserow.internal/api/database/fields/table/301/', expect.anything());
+    });
+
+    it('should read other workspaces than the default one when asked', async () => {
+      const result = await readBaserowStructure(false, 0, { profile: 'cloud', workspaces: ['Sales'] });
+
+      expect(result.structure.workspaces.map(w => w.name)).toEqual(['Sales']);
+    });
+
+    it('should not share cached metadata between profiles of the same instance', async () => {
+      writeProfiles({
+        profiles: {
+          cloud: { url: 'https://api.baserow.io', token: 'cloud_token' },
+          intern: { url: 'https://api.baserow.io', token: 'intern_token' }
+        }
+      });
+
+      await readBaserowStructure(false, 0);
+      await readBaserowStructure(false, 0);
+
+      expect(authorizationFor('https://api.baserow.io/api/workspaces/')).toEqual(['Token cloud_token', 'Token intern_token']);
+      expect(authorizationFor('https://api.baserow.io/api/database/fields/table/300/')).toEqual(['Token cloud_token', 'Token intern_token']);
+    });
+  });
+
+  describe('resources', () => {
+    it('should name the profile in the URIs of non-default profiles', async () => {
+      const resources = await listBaserowResources();
+
+      expect(resources.map(resource => resource.uri)).toEqual([
+        'baserow://workspace/1',
+        'baserow://table/300/schema',
+        'baserow://table/300/rows',
+        'baserow://table/301/schema',
+        'baserow://table/301/rows',
+        'baserow://workspace/2',
+        'baserow://table/300/schema',
+        'baserow://table/300/rows',
+        'baserow://table/301/schema',
+        'baserow://table/301/rows',
+        'baserow://workspace/7?profile=onprem',
+        'baserow://table/300/schema?profile=onprem',
+        'baserow://table/300/rows?profile=onprem'
+      ]);
+      expect(resources[0].name).toBe('[cloud] Workspace: Marketing');
+    });
+
+    it('should read resources from the profile named in the URI', async () => {
+      await readBaserowResource('baserow://table/300/schema?profile=onprem');
+
+      expect(fetch).toHaveBeenCalledWith('https://baserow.internal/api/database/fields/table/300/', expect.anything());
+      await expect(readBaserowResource('baserow://table/301/schema?profile=onprem'))
+        .rejects.toThrow('Table 301 is not in the allowed tables of profile "onprem"');
+    });
+  });
+
+  describe('without a profiles file', () => {
+    beforeEach(() => {
+      delete process.env.BASEROW_PROFILES_FILE;
+      process.env.BASEROW_API_TOKEN = 'env_token';
+    });
+
+    it('should use the environment variables as the default profile', async () => {
+      await uploadImageUrl('https://example.com/photo.jpg', undefined, undefined, undefined, undefined, { profile: 'default' });
+
+      expect(authorizationFor('https://api.baserow.io')).toEqual(['Token env_token']);
+    });
+
+    it('should reject named profiles', async () => {
+      await expect(uploadImageUrl('https://example.com/photo.jpg', undefined, undefined, undefined, undefined, { profile: 'cloud' }))
+        .rejects.toThrow('Unknown Baserow profile "cloud": set BASEROW_PROFILES_FILE to use named profiles');
+    });
+  });
+});
@@ -2,7 +2,8 @@
  * Tests for readBaserowStructure function
  */
 import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
-import { readBaserowStructure } from '../mcp_baserow_image.js';
+import { readBaserowStructure, invalidateMetadataCache } from '../mcp_baserow_image.js';
+import { jsonResponse, routeFetch } from './baserowMock.js';
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -13,14 +14,16 @@ describe('readBaserowStructure', () => {
     process.env.BASEROW_API_URL = 'https://api.baserow.io';
     process.env.BASEROW_API_TOKEN = 'test_token_123';
     
-    // Reset fetch mock
+    // Reset fetch mock and cached metadata
     fetch.mockClear();
+    invalidateMetadataCache();
   });
 
   afterEach(() => {
     // Clean up environment variables
     delete process.env.BASEROW_API_URL;
     delete process.env.BASEROW_API_TOKEN;
+    delete process.env.BASEROW_HTTP_RETRIES;
   });
 
   describe('Structure reading only', () => {
@@ -148,6 +151,31 @@ describe('readBaserowStructure', () => {
       expect(selectField.selectOptions).toHaveLength(2);
       expect(selectField.selectOptions[0].value).toBe('Electronics');
     });
+    it('should report progress after each scanned table', async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ results: [{ id: 1, name: 'Workspace' }] })
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => [{ id: 101, name: 'App', type: 'database' }]
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => [{ id: 201, name: 'Products', order: 0 }, { id: 202, name: 'Orders', order: 1 }]
+        })
+        .mockResolvedValueOnce({ ok: true, json: async () => [] })
+        .mockResolvedValueOnce({ ok: true, json: async () => [] });
+      const progress = [];
+
+      await readBaserowStructure(false, 0, { onProgress: (update) => progress.push(update) });
+
+      expect(progress).toEqual([
+        { tablesScanned: 1, tableName: 'Products' },
+        { tablesScanned: 2, tableName: 'Orders' }
+      ]);
+    });
   });
 
   describe('Structure reading with rows', () => {
@@ -215,6 +243,7 @@ describe('readBaserowStructure', () => {
     });
 
     it('should handle network errors', async () => {
+      process.env.BASEROW_HTTP_RETRIES = '0';
       fetch.mockRejectedValueOnce(new Error('Network error'));
 
       await expect(readBaserowStructure()).rejects.toThrow(
@@ -266,6 +295,48 @@ describe('readBaserowStructure', () => {
     });
   });
 
+  describe('Metadata cache', () => {
+    const mockStructureResponses = () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ results: [{ id: 1, name: 'Workspace' }] })
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => [{ id: 101, name: 'App', type: 'database' }]
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => [{ id: 201, name: 'Table', order: 0 }]
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => [{ id: 301, name: 'Name', type: 'text', primary: true, order: 0 }]
+        });
+    };
+
+    it('should serve repeated reads from the cache', async () => {
+      mockStructureResponses();
+
+      await readBaserowStructure();
+      const result = await readBaserowStructure();
+
+      expect(fetch).toHaveBeenCalledTimes(4);
+      expect(result.structure.summary.totalFields).toBe(1);
+    });
+
+    it('should re-read everything when refresh is requested', async () => {
+      mockStructureResponses();
+      mockStructureResponses();
+
+      await readBaserowStructure();
+      await readBaserowStructure(false, 5, { refresh: true });
+
+      expect(fetch).toHaveBeenCalledTimes(8);
+    });
+  });
+
   describe('Non-database applications', () => {
     it('should skip non-database applications', async () => {
       fetch
@@ -295,4 +366,120 @@ describe('readBaserowStructure', () => {
       expect(result.structure.workspaces[0].applications[0].type).toBe('database');
     });
   });
+
+  describe('Scoped reads', () => {
+    const fieldRequests = [];
+
+    beforeEach(() => {
+      fieldRequests.length = 0;
+
+      routeFetch([
+        [/\/api\/workspaces\/$/, () => jsonResponse({ results: [{ id: 1, name: 'Marketing' }, { id: 2, name: 'Sales' }] })],
+        [/\/api\/applications\/workspace\/(\d+)\//, (endpoint, options, [, workspaceId]) => jsonResponse([{ id: workspaceId * 10, name: `DB ${workspaceId}`, type: 'database' }])],
+        ['/api/database/tables/database/', () => jsonResponse([{ id: 201, name: 'Products', order: 0 }, { id: 202, name: 'Product Photos', order: 1 }, { id: 203, name: 'Orders', order: 2 }])],
+        ['/api/database/fields/table/', (endpoint) => {
+          fieldRequests.push(endpoint);
+          return jsonResponse([
+            { id: 301, name: 'Name', type: 'text', primary: true, order: 0 },
+            { id: 302, name: 'Photo', type: 'file', primary: false, order: 1, multiple_files: false }
+          ]);
+        }]
+      ]);
+    });
+
+    it('should only read workspaces matching a name pattern', async () => {
+      const result = await readBaserowStructure(false, 0, { workspaces: ['mark*'] });
+
+      expect(result.structure.workspaces.map(w => w.name)).toEqual(['Marketing']);
+      expect(result.structure.summary.totalWorkspaces).toBe(1);
+      expect(fetch).not.toHaveBeenCalledWith('https://api.baserow.io/api/applications/workspace/2/', expect.anything());
+    });
+
+    it('should only fetch fields of the selected applications and tables', async () => {
+      const result = await readBaserowStructure(false, 0, { applications: [10], tables: ['Product*', '203'] });
+
+      const tables = result.structure.workspaces.flatMap(w => w.applications.flatMap(a => a.tables));
+      expect(tables.map(t => t.name)).toEqual(['Products', 'Product Photos', 'Orders']);
+      expect(fieldRequests).toHaveLength(3);
+      expect(result.structure.summary).toEqual({
+        totalWorkspaces: 2,
+        totalApplications: 1,
+        totalTables: 3,
+        totalFields: 6
+      });
+    });
+
+    it('should only return fields of the requested types', async () => {
+      const result = await readBaserowStructure(false, 0, { tables: [201], fieldTypes: ['file'] });
+
+      const table = result.structure.workspaces[0].applications[0].tables[0];
+      expect(table.fields).toEqual([expect.objectContaining({ id: 302, name: 'Photo', type: 'file', multipleFiles: false })]);
+      expect(result.structure.summary.totalFields).toBe(2);
+    });
+
+    it('should fetch the fields of several tables at the same time', async () => {
+      const pending = [];
+      const defaultImplementation = fetch.getMockImplementation();
+      fetch.mockImplementation((endpoint, options) => {
+        if (endpoint.includes('/api/database/fields/table/')) {
+          return new Promise(resolve => pending.push(() => resolve(defaultImplementation(endpoint, options))));
+        }
+        return defaultImplementation(endpoint, options);
+      });
+
+      const read = readBaserowStructure(false, 0, { workspaces: [1] });
+      while (pending.length < 3) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      pending.forEach(release => release());
+      const result = await read;
+
+      expect(result.structure.workspaces[0].applications[0].tables.map(t => t.id)).toEqual([201, 202, 203]);
+    });
+  });
+
+  describe('Table ID mode', () => {
+    beforeEach(() => {
+      routeFetch([
+        [/\/api\/database\/fields\/table\/(\d+)\//, (endpoint, options, [, tableId]) => jsonResponse([
+          { id: tableId * 10, name: 'Name', type: 'text', primary: true, order: 0 },
+          { id: tableId * 10 + 1, name: 'Photo', type: 'file', primary: false, order: 1 }
+        ])],
+        [/^/, () => ({ ok: false, status: 401, statusText: 'Unauthorized' })]
+      ]);
+    });
+
+    afterEach(() => {
+      delete process.env.BASEROW_TABLE_IDS;
+    });
+
+    it('should read the configured tables without listing workspaces', async () => {
+      process.env.BASEROW_TABLE_IDS = '201, 202';
+
+      const result = await readBaserowStructure(false, 0);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch).not.toHaveBeenCalledWith('https://api.baserow.io/api/workspaces/', expect.anything());
+      expect(result.structure.workspaces).toEqual([]);
+      expect(result.structure.tables.map(t => t.id)).toEqual([201, 202]);
+      expect(result.structure.tables[0].fields.map(f => f.name)).toEqual(['Name', 'Photo']);
+      expect(result.structure.summary).toEqual({
+        totalWorkspaces: 0,
+        totalApplications: 0,
+        totalTables: 2,
+        totalFields: 4
+      });
+      expect(result.message).toBe('Found 2 tables and 4 fields');
+    });
+
+    it('should prefer table IDs passed as an argument and apply field type filters', async () => {
+      process.env.BASEROW_TABLE_IDS = '201,202';
+
+      const result = await readBaserowStructure(false, 0, { tableIds: ['203'], fieldTypes: ['file'] });
+
+      expect(result.structure.tables).toEqual([
+        expect.objectContaining({ id: 203, name: 'Table 203', fields: [expect.objectContaining({ id: 2031, type: 'file' })] })
+      ]);
+    });
+  });
 });
@@ -0,0 +1,113 @@
+/**
+ * Tests for the Baserow MCP resources
+ */
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { listBaserowResources, readBaserowResource } from '../mcp_baserow_image.js';
+import { jsonResponse, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('Baserow resources', () => {
+  useBaserowEnv({ cleanup: ['BASEROW_TABLE_IDS'] });
+
+  beforeEach(() => {
+    routeFetch([
+      ['/api/workspaces/', () => jsonResponse({ results: [{ id: 1, name: 'Marketing' }] })],
+      ['/api/applications/workspace/', () => jsonResponse([
+        { id: 10, name: 'Assets', type: 'database' },
+        { id: 11, name: 'Docs', type: 'builder' }
+      ])],
+      ['/api/database/tables/database/', () => jsonResponse([{ id: 100, name: 'Products', order: 1 }])],
+      ['/api/database/fields/table/100/', () => jsonResponse([
+        { id: 1000, name: 'Name', type: 'text', primary: true, order: 0 },
+        { id: 1001, name: 'Photos', type: 'file', primary: false, order: 1, multiple_files: true }
+      ])],
+      ['/api/database/rows/table/100/', () => jsonResponse({ count: 3, next: 'https://api.baserow.io/next', results: [{ id: 1, Name: 'Blue Mug' }] })]
+    ], { fields: null });
+  });
+
+  describe('listBaserowResources', () => {
+    it('should list workspaces and the schema and rows of every database table', async () => {
+      const resources = await listBaserowResources();
+
+      expect(resources).toEqual([
+        { uri: 'baserow://workspace/1', name: 'Workspace: Marketing', mimeType: 'application/json' },
+        { uri: 'baserow://table/100/schema', name: 'Schema: Marketing / Assets / Products', mimeType: 'application/json' },
+        { uri: 'baserow://table/100/rows', name: 'Rows: Marketing / Assets / Products', mimeType: 'application/json' }
+      ]);
+    });
+
+    it('should only list the configured tables when BASEROW_TABLE_IDS is set', async () => {
+      process.env.BASEROW_TABLE_IDS = '100';
+
+      const resources = await listBaserowResources();
+
+      expect(resources.map(resource => resource.uri)).toEqual(['baserow://table/100/schema', 'baserow://table/100/rows']);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should not fetch any fields or rows', async () => {
+      await listBaserowResources();
+
+      const endpoints = fetch.mock.calls.map(([endpoint]) => endpoint);
+      expect(endpoints.some(endpoint => endpoint.includes('/fields/') || endpoint.includes('/rows/'))).toBe(false);
+    });
+  });
+
+  describe('readBaserowResource', () => {
+    it('should read a workspace with its databases and tables', async () => {
+      const contents = await readBaserowResource('baserow://workspace/1');
+
+      expect(contents.uri).toBe('baserow://workspace/1');
+      expect(contents.mimeType).toBe('application/json');
+      expect(JSON.parse(contents.text)).toEqual({
+        id: 1,
+        name: 'Marketing',
+        applications: [
+          { id: 10, name: 'Assets', type: 'database', tables: [{ id: 100, name: 'Products', order: 1 }] }
+        ]
+      });
+    });
+
+    it('should read the schema of a single table', async () => {
+      const contents = await readBaserowResource('baserow://table/100/schema');
+
+      const schema = JSON.parse(contents.text);
+      expect(schema.id).toBe(100);
+      expect(schema.fields).toEqual([
+        expect.objectContaining({ id: 1000, name: 'Name', type: 'text', primary: true }),
+        expect.objectContaining({ id: 1001, name: 'Photos', type: 'file', multipleFiles: true })
+      ]);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read one page of rows with a capped page size', async () => {
+      const contents = await readBaserowResource('baserow://table/100/rows?page=2&size=1000');
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.baserow.io/api/database/rows/table/100/?user_field_names=true&page=2&size=200',
+        expect.objectContaining({ method: 'GET' })
+      );
+      expect(JSON.parse(contents.text)).toEqual({
+        tableId: 100,
+        page: 2,
+        size: 200,
+        count: 3,
+        hasMore: true,
+        rows: [{ id: 1, Name: 'Blue Mug' }]
+      });
+    });
+
+    it('should fail for unknown workspaces and resources', async () => {
+      await expect(readBaserowResource('baserow://workspace/9')).rejects.toThrow('Workspace 9 not found');
+      await expect(readBaserowResource('baserow://table/abc/schema')).rejects.toThrow('Unknown resource: baserow://table/abc/schema');
+    });
+
+    it('should fail when the rows cannot be read', async () => {
+      await expect(readBaserowResource('baserow://table/200/rows')).rejects.toThrow(
+        'Failed to read rows of table 200: 404 Not Found'
+      );
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for uploadBatch function
+ */
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { uploadBatch } from '../mcp_baserow_image.js';
+import { jsonResponse, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('uploadBatch', () => {
+  const uploadedFile = (url) => ({
+    name: `hash_${url.split('/').pop()}`,
+    url: `https://api.baserow.io/media/user_files/${url.split('/').pop()}`
+  });
+
+  const routes = [
+    ['/api/user-files/upload-via-url/', (endpoint, options) => {
+      const { url } = JSON.parse(options.body);
+      if (url.includes('broken')) {
+        return { ok: false, status: 400, statusText: 'Bad Request', text: async () => 'Invalid URL' };
+      }
+      return jsonResponse(uploadedFile(url));
+    }],
+    ['/999/', () => ({ ok: false, status: 404, statusText: 'Not Found', text: async () => 'Row not found' })],
+    ['/api/database/rows/', (endpoint) => jsonResponse({ id: Number(endpoint.split('/').slice(-2)[0]) })]
+  ];
+
+  useBaserowEnv({ allowPrivateUrls: true });
+
+  beforeEach(() => {
+    routeFetch(routes, { fields: [{ id: 301, name: 'Image', type: 'file' }] });
+  });
+
+  it('should report successes, failures and row update errors per item', async () => {
+    const result = await uploadBatch([
+      { url: 'https://example.com/a.jpg', rowId: '1' },
+      { url: 'https://example.com/broken.jpg', rowId: '2' },
+      { url: 'https://example.com/c.jpg', rowId: '999' },
+      { url: 'https://example.com/d.jpg' }
+    ], { tableId: '201', fieldName: 'Image' });
+
+    expect(result.success).toBe(false);
+    expect(result.summary).toEqual({
+      total: 4,
+      succeeded: 3,
+      failed: 1,
+      rowUpdated: 1,
+      rowCreated: 0,
+      rowUpdateErrors: 1
+    });
+
+    expect(result.results.map(r => r.status)).toEqual(['uploaded', 'failed', 'row_update_failed', 'uploaded']);
+    expect(result.results[0].updated_row).toEqual({ id: 1 });
+    expect(result.results[1].error).toContain('400 Bad Request');
+    expect(result.results[2].row_update_error).toBe('Failed to update row: 404 Not Found');
+    expect(result.results[3].tableId).toBeUndefined();
+  });
+
+  it('should fail items with incomplete row targets without uploading them', async () => {
+    const result = await uploadBatch([
+      { url: 'https://example.com/a.jpg', rowId: '1' }
+    ]);
+
+    expect(result.results[0].status).toBe('failed');
+    expect(result.results[0].error).toContain('tableId, rowId, and fieldName are all required');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should capture missing local files as item failures', async () => {
+    const result = await uploadBatch([
+      { filePath: '/nonexistent/path/file.jpg' },
+      { url: 'https://example.com/a.jpg' }
+    ]);
+
+    expect(result.results[0]).toMatchObject({
+      status: 'failed',
+      error: 'File upload failed: File not found: /nonexistent/path/file.jpg'
+    });
+    expect(result.results[1].status).toBe('uploaded');
+  });
+
+  it('should refuse several items for the same single-file field', async () => {
+    routeFetch(routes, { fields: [{ id: 301, name: 'Image', type: 'file', multiple_files: false }] });
+
+    const result = await uploadBatch([
+      { url: 'https://example.com/a.jpg', rowId: '1' },
+      { url: 'https://example.com/b.jpg', rowId: '1' },
+      { url: 'https://example.com/c.jpg', rowId: '2' }
+    ], { tableId: '201', fieldName: 'Image' });
+
+    expect(result.results.map(r => r.status)).toEqual(['failed', 'failed', 'uploaded']);
+    expect(result.results[0].validation_error.code).toBe('multiple_files_not_allowed');
+    expect(fetch.mock.calls.filter(([endpoint]) => endpoint.endsWith('/upload-via-url/'))).toHaveLength(1);
+  });
+
+  it('should report progress and skip items once cancelled', async () => {
+    const controller = new AbortController();
+    const progress = [];
+
+    const result = await uploadBatch([
+      { url: 'https://example.com/a.jpg' },
+      { url: 'https://example.com/b.jpg' },
+      { url: 'https://example.com/c.jpg' }
+    ], {
+      concurrency: 1,
+      signal: controller.signal,
+      onProgress: (update) => {
+        progress.push(update);
+        controller.abort();
+      }
+    });
+
+    expect(progress).toEqual([
+      { completed: 1, total: 3 },
+      { completed: 2, total: 3 },
+      { completed: 3, total: 3 }
+    ]);
+    expect(result.results.map(r => r.status)).toEqual(['uploaded', 'failed', 'failed']);
+    expect(result.results[1].error).toBe('Cancelled before upload');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should never run more uploads at once than the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    fetch.mockImplementation(async (endpoint, options) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return { ok: true, json: async () => uploadedFile(JSON.parse(options.body).url) };
+    });
+
+    const items = Array.from({ length: 8 }, (_, i) => ({ url: `https://example.com/${i}.jpg` }));
+    const result = await uploadBatch(items, { concurrency: 3 });
+
+    expect(result.summary.succeeded).toBe(8);
+    expect(maxInFlight).toBe(3);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for uploadContent function
+ */
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { uploadContent } from '../mcp_baserow_image.js';
+import { jsonResponse, readUpload, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('uploadContent', () => {
+  let sentBody;
+
+  useBaserowEnv({ cleanup: ['BASEROW_MAX_UPLOAD_BYTES'] });
+
+  beforeEach(() => {
+    sentBody = null;
+
+    routeFetch([
+      ['/api/user-files/upload-file/', async (endpoint, options) => {
+        sentBody = (await readUpload(options.body)).raw;
+        return jsonResponse({ name: 'hash_chart.png', url: 'https://files.baserow.io/hash_chart.png' });
+      }],
+      ['/api/database/rows/table/', () => jsonResponse({ id: 7, field_501: [{ name: 'hash_chart.png' }] })]
+    ], {
+      fields: [
+        { id: 501, name: 'Chart', type: 'file', file_types: 'image/*' },
+        { id: 502, name: 'Notes', type: 'text' }
+      ]
+    });
+  });
+
+  it('should upload base64 content as a multipart file', async () => {
+    const result = await uploadContent(Buffer.from('png-bytes').toString('base64'), 'chart.png');
+
+    expect(fetch).toHaveBeenCalledWith('https://api.baserow.io/api/user-files/upload-file/', expect.objectContaining({ method: 'POST' }));
+    expect(sentBody).toContain('filename="chart.png"\r\nContent-Type: image/png\r\n\r\npng-bytes\r\n');
+    expect(result).toEqual({
+      success: true,
+      uploaded_file: { name: 'hash_chart.png', url: 'https://files.baserow.io/hash_chart.png' }
+    });
+  });
+
+  it('should take the content type from data URIs', async () => {
+    await uploadContent(`data:image/svg+xml;base64,${Buffer.from('<svg/>').toString('base64')}`, 'chart');
+    expect(sentBody).toContain('Content-Type: image/svg+xml\r\n\r\n<svg/>\r\n');
+
+    await uploadContent('data:text/csv,a%2Cb%0A1%2C2', 'data.txt');
+    expect(sentBody).toContain('Content-Type: text/csv\r\n\r\na,b\n1,2\r\n');
+  });
+
+  it('should prefer an explicit MIME type', async () => {
+    await uploadContent(Buffer.from('{}').toString('base64'), 'data.bin', undefined, undefined, undefined, { mimeType: 'application/json' });
+
+    expect(sentBody).toContain('Content-Type: application/json\r\n');
+  });
+
+  it('should write the uploaded file into the target row', async () => {
+    const result = await uploadContent(Buffer.from('png').toString('base64'), 'chart.png', '100', '7', 'Chart');
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://api.baserow.io/api/database/rows/table/100/7/',
+      expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({ field_501: [{ name: 'hash_chart.png', visible_name: 'chart.png' }] })
+      })
+    );
+    expect(result.updated_row.id).toBe(7);
+  });
+
+  it('should refuse content the target field does not accept before uploading', async () => {
+    const result = await uploadContent(Buffer.from('%PDF').toString('base64'), 'report.pdf', '100', '7', 'Chart');
+
+    expect(result.validation_error.code).toBe('file_type_not_allowed');
+    expect(sentBody).toBeNull();
+  });
+
+  it('should refuse content above the size limit', async () => {
+    process.env.BASEROW_MAX_UPLOAD_BYTES = '4';
+
+    const result = await uploadContent(Buffer.from('too large').toString('base64'), 'chart.png');
+
+    expect(result).toEqual({
+      success: false,
+      validation_error: {
+        code: 'file_too_large',
+        message: 'Content is 9 bytes, which exceeds the upload limit of 4 bytes'
+      }
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should reject content that is not base64', async () => {
+    await expect(uploadContent('not base64!', 'chart.png'))
+      .rejects.toThrow('Content upload failed: Content is not valid base64');
+    await expect(uploadContent('data:image/png;base64,@@@', 'chart.png'))
+      .rejects.toThrow('Content upload failed: Invalid data URI: Content is not valid base64');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
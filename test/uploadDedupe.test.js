@@ -0,0 +1,149 @@
+/**
+ * Tests for reusing earlier uploads of identical content through the upload index
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadFile, uploadContent, uploadImageUrl, UploadResultSchema } from '../mcp_baserow_image.js';
+import { jsonResponse, readUpload, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('Upload deduplication', () => {
+  let tempDir;
+  let indexPath;
+  let uploadCount;
+  let rowFiles;
+
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+  // Index key of an instance and a database token
+  const scope = (apiUrl, token = 'test_token_123') => `${apiUrl}|token:${sha256(token).slice(0, 16)}`;
+  const storedFile = (name) => ({ name, original_name: 'photo.png' });
+
+  useBaserowEnv({ allowPrivateUrls: true, cleanup: ['BASEROW_UPLOAD_INDEX_FILE'] });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-dedupe-test-'));
+    indexPath = path.join(tempDir, 'index', 'uploads.json');
+    process.env.BASEROW_UPLOAD_INDEX_FILE = indexPath;
+    uploadCount = 0;
+    rowFiles = [];
+
+    routeFetch([
+      ['/api/user-files/upload-file/', async (endpoint, options) => {
+        await readUpload(options.body);
+        uploadCount++;
+        return jsonResponse({ name: `stored_${uploadCount}.png`, original_name: 'photo.png', url: `https://files.baserow.io/stored_${uploadCount}.png` });
+      }],
+      ['https://example.com/photo.png', () => ({ ok: true, status: 200, headers: new Headers({ 'content-type': 'image/png' }), body: [Buffer.from('png-bytes')] })],
+      ['/api/database/rows/table/100/7/', (endpoint, options) => {
+        if (options.method === 'PATCH') {
+          rowFiles = JSON.parse(options.body).field_502;
+        }
+        return jsonResponse({ id: 7, field_502: rowFiles });
+      }]
+    ]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const patchCount = () => fetch.mock.calls.filter(([, options]) => options.method === 'PATCH').length;
+
+  it('should upload identical content once and reuse the stored file afterwards', async () => {
+    const first = await uploadFile(writeFile('photo.png', 'png-bytes'));
+    const second = await uploadFile(writeFile('copy.png', 'png-bytes'));
+    const inline = await uploadContent(Buffer.from('png-bytes').toString('base64'), 'inline.png');
+    const other = await uploadFile(writeFile('other.png', 'other-bytes'));
+
+    expect(uploadCount).toBe(2);
+    expect(first.reused_upload).toBeUndefined();
+    expect(second).toEqual({ success: true, uploaded_file: storedFile('stored_1.png'), reused_upload: true });
+    // The reused file has no URL, which the declared output schema must allow
+    expect(UploadResultSchema.safeParse(second).success).toBe(true);
+    expect(inline.uploaded_file).toEqual(storedFile('stored_1.png'));
+    expect(other.uploaded_file.name).toBe('stored_2.png');
+    // Only the names are indexed, not the URL of the upload response
+    expect(JSON.parse(fs.readFileSync(indexPath, 'utf8'))).toEqual({
+      [scope('https://api.baserow.io')]: {
+        [sha256('png-bytes')]: storedFile('stored_1.png'),
+        [sha256('other-bytes')]: storedFile('stored_2.png')
+      }
+    });
+  });
+
+  it('should keep the index per Baserow instance and credentials and upload when dedupe is off', async () => {
+    const filePath = writeFile('photo.png', 'png-bytes');
+
+    await uploadFile(filePath);
+    await uploadFile(filePath, undefined, undefined, undefined, undefined, { dedupe: false });
+    process.env.BASEROW_API_TOKEN = 'other_token';
+    const otherToken = await uploadFile(filePath);
+    process.env.BASEROW_API_URL = 'https://baserow.example.com';
+    const otherInstance = await uploadFile(filePath);
+
+    expect(uploadCount).toBe(4);
+    expect(otherToken.reused_upload).toBeUndefined();
+    expect(otherInstance.reused_upload).toBeUndefined();
+    expect(Object.keys(JSON.parse(fs.readFileSync(indexPath, 'utf8')))).toEqual([
+      scope('https://api.baserow.io'),
+      scope('https://api.baserow.io', 'other_token'),
+      scope('https://baserow.example.com', 'other_token')
+    ]);
+  });
+
+  it('should skip the row update when the field already holds the reused file', async () => {
+    const filePath = writeFile('photo.png', 'png-bytes');
+
+    const first = await uploadFile(filePath, undefined, '100', '7', 'Photo');
+    const replaced = await uploadFile(filePath, undefined, '100', '7', 'Photo');
+    const appended = await uploadFile(filePath, undefined, '100', '7', 'Photo', { attachMode: 'append' });
+
+    expect(first.updated_row).toEqual({ id: 7, field_502: [{ name: 'stored_1.png', visible_name: 'photo.png' }] });
+    expect(replaced).toMatchObject({ reused_upload: true, unchanged_row: { id: 7 } });
+    expect(replaced.updated_row).toBeUndefined();
+    expect(appended.unchanged_row).toBeDefined();
+    expect(uploadCount).toBe(1);
+    expect(patchCount()).toBe(1);
+  });
+
+  it('should still write reused files into rows that hold other files', async () => {
+    const filePath = writeFile('photo.png', 'png-bytes');
+    await uploadFile(filePath);
+    rowFiles = [{ name: 'stored_9.png', visible_name: 'old.png' }, { name: 'stored_1.png', visible_name: 'photo.png' }];
+
+    const result = await uploadFile(filePath, undefined, '100', '7', 'Photo');
+
+    expect(result.reused_upload).toBe(true);
+    expect(result.updated_row.field_502).toEqual([{ name: 'stored_1.png', visible_name: 'photo.png' }]);
+    expect(patchCount()).toBe(1);
+  });
+
+  it('should reuse URLs downloaded locally that match earlier uploads', async () => {
+    await uploadFile(writeFile('photo.png', 'png-bytes'));
+
+    const result = await uploadImageUrl('https://example.com/photo.png', undefined, undefined, undefined, undefined, { fetchMode: 'local' });
+
+    expect(result).toMatchObject({ reused_upload: true, uploaded_file: { name: 'stored_1.png' } });
+    expect(uploadCount).toBe(1);
+  });
+
+  it('should refuse to work with an unreadable index', async () => {
+    fs.mkdirSync(path.dirname(indexPath));
+    fs.writeFileSync(indexPath, '[]');
+
+    await expect(uploadFile(writeFile('photo.png', 'png-bytes')))
+      .rejects.toThrow(`File upload failed: Invalid upload index ${indexPath}: expected an object keyed by Baserow API URL and credentials`);
+    expect(uploadCount).toBe(0);
+  });
+});
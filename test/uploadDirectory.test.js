@@ -0,0 +1,202 @@
+/**
+ * Tests for uploadDirectory function
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadDirectory } from '../mcp_baserow_image.js';
+import { jsonResponse, readUpload, routeFetch, useBaserowEnv } from './baserowMock.js';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('uploadDirectory', () => {
+  let tempDir;
+  let uploadedNames;
+
+  // Rows of table 100 by their SKU (the primary field)
+  const rowsBySku = { 'SKU-1': 11, 'SKU-2': 12 };
+
+  const writeFiles = (files) => {
+    for (const file of files) {
+      fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, file), file);
+    }
+  };
+
+  useBaserowEnv({ cleanup: ['BASEROW_FILE_ROOTS'] });
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'upload-directory-test-')));
+    uploadedNames = [];
+
+    routeFetch([
+      ['/api/user-files/upload-file/', async (endpoint, options) => {
+        const { name } = await readUpload(options.body);
+        uploadedNames.push(name);
+        return jsonResponse({ name: `hash_${name}`, visible_name: name });
+      }],
+      ['/api/database/rows/table/100/?', (endpoint) => {
+        const params = new URL(endpoint).searchParams;
+        const rowId = params.has('filter__field_501__equal')
+          ? rowsBySku[params.get('filter__field_501__equal')]
+          : { 4006381333931: 13 }[params.get('filter__field_503__equal')];
+        return jsonResponse(rowId ? { count: 1, results: [{ id: rowId }] } : { count: 0, results: [] });
+      }],
+      ['/api/database/rows/table/100/', (endpoint) => jsonResponse({ id: Number(endpoint.split('/').at(-2)), field_502: [] })]
+    ], {
+      fields: [
+        { id: 501, name: 'SKU', type: 'text', primary: true },
+        { id: 502, name: 'Photos', type: 'file', primary: false, file_types: 'image/*' },
+        { id: 503, name: 'Barcode', type: 'text', primary: false }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const patchedRows = () => fetch.mock.calls
+    .filter(([, options]) => options.method === 'PATCH')
+    .map(([endpoint]) => endpoint.split('/').at(-2))
+    .sort();
+
+  it('should attach each file to the row whose primary field equals its stem', async () => {
+    writeFiles(['SKU-1.jpg', 'SKU-2.png', 'SKU-3.jpg']);
+
+    const result = await uploadDirectory(tempDir, { tableId: '100', fieldName: 'Photos' });
+
+    expect(result.directory).toBe(tempDir);
+    expect(result.results.map(item => [path.basename(item.source), item.status])).toEqual([
+      ['SKU-1.jpg', 'uploaded'],
+      ['SKU-2.png', 'uploaded'],
+      ['SKU-3.jpg', 'failed']
+    ]);
+    expect(result.results[2].error).toBe('File upload failed: No row in table 100 has SKU = "SKU-3"');
+    expect(patchedRows()).toEqual(['11', '12']);
+    expect(result.summary).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+    expect(result.success).toBe(false);
+  });
+
+  it('should select files with include and exclude patterns', async () => {
+    writeFiles(['SKU-1.jpg', 'SKU-2.PNG', 'notes.txt', 'old/SKU-1.jpg', 'new/SKU-2.webp', 'SKU-1_draft.jpg', '.cache/SKU-1.jpg']);
+
+    const planFiles = async (options) => (await uploadDirectory(tempDir, { tableId: '100', fieldName: 'Photos', dryRun: true, ...options }))
+      .planned.map(entry => entry.file);
+
+    expect(await planFiles({})).toEqual(['SKU-1.jpg', 'SKU-1_draft.jpg', 'SKU-2.PNG', 'new/SKU-2.webp', 'notes.txt', 'old/SKU-1.jpg']);
+    expect(await planFiles({ include: ['*.{jpg,png}'], exclude: ['*_draft.*', 'old/**'] })).toEqual(['SKU-1.jpg', 'SKU-2.PNG']);
+    expect(await planFiles({ include: ['new/*'] })).toEqual(['new/SKU-2.webp']);
+  });
+
+  it('should take the value to match from valuePattern', async () => {
+    writeFiles(['SKU-1_front.jpg', 'SKU-1_back.jpg', 'logo.jpg']);
+
+    const result = await uploadDirectory(tempDir, {
+      tableId: '100',
+      fieldName: 'Photos',
+      valuePattern: '^(SKU-\\d+)_',
+      attachMode: 'append'
+    });
+
+    expect(result.results.map(item => item.status)).toEqual(['uploaded', 'uploaded']);
+    expect(patchedRows()).toEqual(['11', '11']);
+    expect(result.skipped).toEqual([{ file: 'logo.jpg', reason: '"logo" does not match valuePattern' }]);
+  });
+
+  it('should map files to rows with a CSV manifest', async () => {
+    writeFiles(['a.jpg', 'b.jpg', 'sub/c.jpg', 'unlisted.jpg']);
+    fs.writeFileSync(path.join(tempDir, 'photos.csv'), [
+      'File,rowId,Value',
+      'a.jpg,42,',
+      '"sub/c.jpg",,"4006381333931"',
+      'b.jpg,,SKU-2',
+      'missing.jpg,7,'
+    ].join('\r\n'));
+
+    const result = await uploadDirectory(tempDir, { tableId: '100', fieldName: 'Photos', matchField: 'Barcode', manifest: 'photos.csv', dryRun: true });
+
+    expect(result.planned.map(({ plan, ...entry }) => entry)).toEqual([
+      { file: 'a.jpg', rowId: '42', action: 'update_row' },
+      { file: 'b.jpg', value: 'SKU-2', action: 'skip', error: 'File upload failed: No row in table 100 has Barcode = "SKU-2"' },
+      { file: 'sub/c.jpg', value: '4006381333931', rowId: '13', action: 'update_row' }
+    ]);
+    expect(result.skipped).toEqual([
+      { file: 'unlisted.jpg', reason: 'Not listed in the manifest' },
+      { file: 'missing.jpg', reason: 'Listed in the manifest but not found in the directory' }
+    ]);
+  });
+
+  it('should only plan the mapping on dry runs', async () => {
+    writeFiles(['SKU-1.jpg', 'SKU-9.jpg', 'readme.txt']);
+
+    const result = await uploadDirectory(tempDir, { tableId: '100', fieldName: 'Photos', createIfMissing: true, dryRun: true });
+
+    expect(result).toEqual({
+      success: false,
+      directory: tempDir,
+      dryRun: true,
+      planned: [
+        {
+          file: 'SKU-1.jpg',
+          value: 'SKU-1',
+          rowId: '11',
+          action: 'update_row',
+          plan: expect.objectContaining({ row: expect.objectContaining({ method: 'PATCH', endpoint: 'https://api.baserow.io/api/database/rows/table/100/11/' }) })
+        },
+        {
+          file: 'SKU-9.jpg',
+          value: 'SKU-9',
+          action: 'create_row',
+          plan: expect.objectContaining({ row: expect.objectContaining({ method: 'POST', payload: { field_501: 'SKU-9', field_502: [{ name: '(assigned on upload)', visible_name: 'SKU-9.jpg' }] } }) })
+        },
+        {
+          file: 'readme.txt',
+          value: 'readme',
+          action: 'skip',
+          error: 'Field "Photos" only accepts image/*, but "readme.txt" is text/plain',
+          validation_error: {
+            code: 'file_type_not_allowed',
+            field: 'Photos',
+            message: 'Field "Photos" only accepts image/*, but "readme.txt" is text/plain'
+          }
+        }
+      ],
+      skipped: [],
+      message: `Dry run of 3 files from ${tempDir}: 1 would update rows, 1 would create rows, 1 can't be attached; nothing was uploaded`
+    });
+    expect(uploadedNames).toEqual([]);
+    expect(patchedRows()).toEqual([]);
+  });
+
+  it('should keep to the allowed file roots', async () => {
+    writeFiles(['photos/SKU-1.jpg']);
+    process.env.BASEROW_FILE_ROOTS = path.join(tempDir, 'photos');
+
+    const outside = await uploadDirectory(tempDir, { tableId: '100', fieldName: 'Photos' });
+    const root = await uploadDirectory(path.join(tempDir, 'photos'), { tableId: '100', fieldName: 'Photos' });
+    const missingOutside = await uploadDirectory(path.join(tempDir, 'missing'), { tableId: '100', fieldName: 'Photos' });
+    const missingManifest = await uploadDirectory(path.join(tempDir, 'photos'), { tableId: '100', fieldName: 'Photos', manifest: '../missing.csv' });
+
+    expect(missingOutside.validation_error.code).toBe('path_not_allowed');
+    expect(missingManifest.validation_error.code).toBe('path_not_allowed');
+    expect(outside.validation_error).toEqual({
+      code: 'path_not_allowed',
+      path: tempDir,
+      message: `Directory ${tempDir} is outside the allowed file roots ${path.join(tempDir, 'photos')}`
+    });
+    expect(root.summary.succeeded).toBe(1);
+  });
+
+  it('should report missing directories and invalid manifests', async () => {
+    fs.writeFileSync(path.join(tempDir, 'photos.csv'), 'name,row\na.jpg,1\n');
+
+    await expect(uploadDirectory(path.join(tempDir, 'missing'), { tableId: '100', fieldName: 'Photos' }))
+      .rejects.toThrow(`Directory not found: ${path.join(tempDir, 'missing')}`);
+    await expect(uploadDirectory(tempDir, { tableId: '100', fieldName: 'Photos', manifest: 'photos.csv' }))
+      .rejects.toThrow('needs a header row with a "file" column and a "rowId" or "value" column');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -2,6 +2,9 @@
  * Tests for uploadFile function
  */
 import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -43,6 +46,204 @@ describe('uploadFile', () => {
     });
   });
 
+  describe('Target field validation', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-file-test-'));
+      const { invalidateMetadataCache } = await import('../mcp_baserow_image.js');
+      invalidateMetadataCache();
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should refuse to upload a PDF into a text field', async () => {
+      const filePath = path.join(tempDir, 'invoice.pdf');
+      fs.writeFileSync(filePath, '%PDF-1.4');
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ id: 301, name: 'Notes', type: 'text' }]
+      });
+
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const result = await uploadFile(filePath, undefined, '201', '1', 'Notes');
+
+      expect(result.success).toBe(false);
+      expect(result.validation_error.code).toBe('field_not_file');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should show the local file name in the row instead of the stored name', async () => {
+      const filePath = path.join(tempDir, 'invoice.pdf');
+      fs.writeFileSync(filePath, '%PDF-1.4');
+      fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => [{ id: 302, name: 'Scan', type: 'file' }] })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ name: 'hash_invoice.pdf', url: 'https://files.baserow.io/hash_invoice.pdf' }) })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 1 }) });
+
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      await uploadFile(filePath, undefined, '201', '1', 'Scan');
+
+      expect(JSON.parse(fetch.mock.calls[2][1].body)).toEqual({ field_302: [{ name: 'hash_invoice.pdf', visible_name: 'invoice.pdf' }] });
+    });
+  });
+
+  describe('Streaming upload', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-file-test-'));
+      filePath = path.join(tempDir, 'recording.mp4');
+      fs.writeFileSync(filePath, Buffer.alloc(200 * 1024, 7));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      delete process.env.BASEROW_MAX_UPLOAD_BYTES;
+    });
+
+    it('should stream the file as a multipart body and report progress', async () => {
+      let sentBody;
+      fetch.mockImplementationOnce(async (endpoint, options) => {
+        const chunks = [];
+        for await (const chunk of options.body) {
+          chunks.push(chunk);
+        }
+        sentBody = Buffer.concat(chunks);
+        return { ok: true, json: async () => ({ name: 'hash_recording.mp4' }) };
+      });
+      const progress = [];
+
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const result = await uploadFile(filePath, undefined, undefined, undefined, undefined, {
+        onProgress: (update) => progress.push(update)
+      });
+
+      const [endpoint, options] = fetch.mock.calls[0];
+      expect(endpoint).toBe('https://api.baserow.io/api/user-files/upload-file/');
+      expect(options.duplex).toBe('half');
+      expect(options.headers['Content-Type']).toMatch(/^multipart\/form-data; boundary=/);
+      expect(Number(options.headers['Content-Length'])).toBe(sentBody.length);
+      expect(sentBody.toString('latin1')).toContain('filename="recording.mp4"\r\nContent-Type: video/mp4');
+
+      expect(progress.length).toBeGreaterThan(1);
+      expect(progress[progress.length - 1]).toEqual({ bytesSent: 200 * 1024, totalBytes: 200 * 1024 });
+      expect(result).toEqual({ success: true, uploaded_file: { name: 'hash_recording.mp4' } });
+    });
+
+    it('should refuse files above the configured size limit before any request', async () => {
+      process.env.BASEROW_MAX_UPLOAD_BYTES = '1024';
+
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const result = await uploadFile(filePath);
+
+      expect(result).toEqual({
+        success: false,
+        validation_error: {
+          code: 'file_too_large',
+          message: `File is ${200 * 1024} bytes, which exceeds the upload limit of 1024 bytes`
+        }
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('File sandbox', () => {
+    let tempDir;
+    let rootDir;
+
+    beforeEach(() => {
+      tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'upload-file-test-')));
+      rootDir = path.join(tempDir, 'uploads');
+      fs.mkdirSync(path.join(rootDir, '.cache'), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, 'photo.jpg'), 'jpg');
+      fs.writeFileSync(path.join(rootDir, '.cache', 'photo.jpg'), 'jpg');
+      fs.writeFileSync(path.join(tempDir, 'id_rsa'), 'secret');
+      fs.symlinkSync(path.join(tempDir, 'id_rsa'), path.join(rootDir, 'avatar.jpg'));
+      process.env.BASEROW_FILE_ROOTS = rootDir;
+
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ name: 'hash_photo.jpg' }) });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      delete process.env.BASEROW_FILE_ROOTS;
+      delete process.env.BASEROW_ALLOW_HIDDEN_FILES;
+      fetch.mockReset();
+    });
+
+    it('should upload files inside the allowed roots', async () => {
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const result = await uploadFile(path.join(rootDir, 'photo.jpg'));
+
+      expect(result.success).toBe(true);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse files outside the allowed roots, also through .. and symlinks', async () => {
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const outside = await uploadFile(`${rootDir}/../id_rsa`);
+      const linked = await uploadFile(path.join(rootDir, 'avatar.jpg'));
+
+      expect(outside.validation_error).toEqual({
+        code: 'path_not_allowed',
+        path: `${rootDir}/../id_rsa`,
+        message: `File ${rootDir}/../id_rsa is outside the allowed file roots ${rootDir}`
+      });
+      expect(linked.validation_error.message).toBe(
+        `File ${path.join(rootDir, 'avatar.jpg')} is outside the allowed file roots ${rootDir} (it resolves to ${path.join(tempDir, 'id_rsa')})`
+      );
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should refuse missing files outside the allowed roots the same way as existing ones', async () => {
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const missing = await uploadFile(path.join(tempDir, 'missing_key'));
+      const existing = await uploadFile(path.join(tempDir, 'id_rsa'));
+
+      expect(missing.validation_error).toEqual({
+        code: 'path_not_allowed',
+        path: path.join(tempDir, 'missing_key'),
+        message: `File ${path.join(tempDir, 'missing_key')} is outside the allowed file roots ${rootDir}`
+      });
+      expect(existing.validation_error.code).toBe('path_not_allowed');
+      await expect(uploadFile(path.join(rootDir, 'missing.jpg')))
+        .rejects.toThrow(`File upload failed: File not found: ${path.join(rootDir, 'missing.jpg')}`);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should refuse hidden files and say which root refused them', async () => {
+      const filePath = path.join(rootDir, '.cache', 'photo.jpg');
+
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const result = await uploadFile(filePath);
+
+      expect(result.validation_error).toEqual({
+        code: 'path_not_allowed',
+        path: filePath,
+        root: rootDir,
+        message: `File ${filePath} is refused by file root ${rootDir} because ".cache" is hidden; set BASEROW_ALLOW_HIDDEN_FILES=true to upload hidden files`
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should refuse hidden files without roots and allow them when configured', async () => {
+      delete process.env.BASEROW_FILE_ROOTS;
+      const filePath = path.join(rootDir, '.cache', 'photo.jpg');
+
+      const { uploadFile } = await import('../mcp_baserow_image.js');
+      const refused = await uploadFile(filePath);
+      process.env.BASEROW_ALLOW_HIDDEN_FILES = 'true';
+      const allowed = await uploadFile(filePath);
+
+      expect(refused.validation_error.code).toBe('path_not_allowed');
+      expect(allowed.success).toBe(true);
+    });
+  });
+
   describe('Function export', () => {
     it('should export uploadFile function', async () => {
       const { uploadFile } = await import('../mcp_baserow_image.js');
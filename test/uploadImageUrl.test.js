@@ -1,5 +1,6 @@
-import { uploadImageUrl } from '../mcp_baserow_image.js';
+import { uploadImageUrl, invalidateMetadataCache } from '../mcp_baserow_image.js';
 import { jest } from '@jest/globals';
+import { useBaserowEnv } from './baserowMock.js';
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -13,21 +14,13 @@ describe('uploadImageUrl', () => {
   const mockFileName = 'uploaded_image.jpg';
   const mockFilename = 'custom_name.jpg';
 
-  beforeEach(() => {
-    // Set up environment variables
-    process.env.BASEROW_API_URL = 'https://api.baserow.io';
-    process.env.BASEROW_API_TOKEN = 'test_token';
+  useBaserowEnv({ allowPrivateUrls: true });
 
+  beforeEach(() => {
     // Clear all mocks
     jest.clearAllMocks();
   });
 
-  afterEach(() => {
-    // Clean up environment variables
-    delete process.env.BASEROW_API_URL;
-    delete process.env.BASEROW_API_TOKEN;
-  });
-
   describe('Image upload only', () => {
     test('should successfully upload image and return uploaded_file', async () => {
       // Mock successful upload response
@@ -48,10 +41,11 @@ describe('uploadImageUrl', () => {
         {
           method: 'POST',
           headers: {
-            'Authorization': 'Token test_token',
+            Authorization: 'Token test_token_123',
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ url: mockUrl })
+          body: JSON.stringify({ url: mockUrl }),
+          signal: expect.any(AbortSignal)
         }
       );
 
@@ -79,10 +73,11 @@ describe('uploadImageUrl', () => {
         {
           method: 'POST',
           headers: {
-            'Authorization': 'Token test_token',
+            Authorization: 'Token test_token_123',
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ url: mockUrl, filename: mockFilename })
+          body: JSON.stringify({ url: mockUrl, filename: mockFilename }),
+          signal: expect.any(AbortSignal)
         }
       );
 
@@ -145,9 +140,10 @@ describe('uploadImageUrl', () => {
         {
           method: 'GET',
           headers: {
-            'Authorization': 'Token test_token',
+            Authorization: 'Token test_token_123',
             'Content-Type': 'application/json'
-          }
+          },
+          signal: expect.any(AbortSignal)
         }
       );
 
@@ -157,10 +153,11 @@ describe('uploadImageUrl', () => {
         {
           method: 'POST',
           headers: {
-            'Authorization': 'Token test_token',
+            Authorization: 'Token test_token_123',
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ url: mockUrl, filename: mockFilename })
+          body: JSON.stringify({ url: mockUrl, filename: mockFilename }),
+          signal: expect.any(AbortSignal)
         }
       );
 
@@ -170,10 +167,11 @@ describe('uploadImageUrl', () => {
         {
           method: 'PATCH',
           headers: {
-            'Authorization': 'Token test_token',
+            Authorization: 'Token test_token_123',
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ [`field_${mockFieldId}`]: [mockUploadData] })
+          body: JSON.stringify({ [`field_${mockFieldId}`]: [{ name: mockFileName, visible_name: mockFilename }] }),
+          signal: expect.any(AbortSignal)
         }
       );
 
@@ -223,6 +221,449 @@ describe('uploadImageUrl', () => {
     });
   });
 
+  describe('Attach modes', () => {
+    const existingFile = { name: 'existing_hash.jpg', visible_name: 'existing.jpg' };
+    const mockUploadData = {
+      name: mockFileName,
+      original_name: 'existing.jpg',
+      url: 'https://api.baserow.io/media/user_files/test.jpg'
+    };
+    // The entry written into the field, named after the uploaded file
+    const attachedFile = { name: mockFileName, visible_name: 'existing.jpg' };
+
+    const mockAttachFlow = (fieldData) => {
+      // Mock field resolution response
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ id: mockFieldId, name: mockFieldName, type: 'file', ...fieldData }]
+      });
+      // Mock upload response
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => mockUploadData
+      });
+    };
+
+    const mockCurrentRow = (files) => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ id: parseInt(mockRowId), [`field_${mockFieldId}`]: files })
+      });
+    };
+
+    const mockRowUpdate = () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ id: parseInt(mockRowId) })
+      });
+    };
+
+    const patchedFiles = () => {
+      const patchCall = fetch.mock.calls.find(([, options]) => options.method === 'PATCH');
+      return JSON.parse(patchCall[1].body)[`field_${mockFieldId}`];
+    };
+
+    test('should append to the files already in the field', async () => {
+      mockAttachFlow({ multiple_files: true });
+      mockCurrentRow([existingFile]);
+      mockRowUpdate();
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName, { attachMode: 'append' });
+
+      expect(fetch).toHaveBeenNthCalledWith(3,
+        `https://api.baserow.io/api/database/rows/table/${mockTableId}/${mockRowId}/`,
+        expect.objectContaining({ method: 'GET' })
+      );
+      expect(patchedFiles()).toEqual([existingFile, attachedFile]);
+      expect(result.updated_row).toEqual({ id: parseInt(mockRowId) });
+    });
+
+    test('should prepend before the files already in the field', async () => {
+      mockAttachFlow({ multiple_files: true });
+      mockCurrentRow([existingFile]);
+      mockRowUpdate();
+
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName, { attachMode: 'prepend' });
+
+      expect(patchedFiles()).toEqual([attachedFile, existingFile]);
+    });
+
+    test('should replace files with the same name and keep the others', async () => {
+      const otherFile = { name: 'other_hash.jpg', visible_name: 'other.jpg' };
+      mockAttachFlow({ multiple_files: true });
+      mockCurrentRow([otherFile, existingFile]);
+      mockRowUpdate();
+
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName, { attachMode: 'replace_by_name' });
+
+      expect(patchedFiles()).toEqual([otherFile, attachedFile]);
+    });
+
+    test('should show the given visible name when appending', async () => {
+      mockAttachFlow({ multiple_files: true });
+      mockCurrentRow([existingFile]);
+      mockRowUpdate();
+
+      await uploadImageUrl(mockUrl, 'photo.jpg', mockTableId, mockRowId, mockFieldName, { attachMode: 'append', visibleName: 'Front view.jpg' });
+
+      expect(patchedFiles()).toEqual([existingFile, { name: mockFileName, visible_name: 'Front view.jpg' }]);
+    });
+
+    test('should refuse to append to single-file fields before uploading', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ id: mockFieldId, name: mockFieldName, type: 'file', multiple_files: false }]
+      });
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName, { attachMode: 'append' });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({
+        success: false,
+        validation_error: {
+          code: 'multiple_files_not_allowed',
+          field: mockFieldName,
+          message: `Field "${mockFieldName}" only accepts a single file, so attachMode "append" can't be used`
+        }
+      });
+    });
+
+    test('should replace the file in single-file fields with replace_by_name', async () => {
+      mockAttachFlow({ multiple_files: false });
+      mockRowUpdate();
+
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName, { attachMode: 'replace_by_name' });
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(patchedFiles()).toEqual([attachedFile]);
+    });
+
+    test('should report a row update error when the current row cannot be read', async () => {
+      mockAttachFlow({ multiple_files: true });
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        statusText: 'Not Found',
+        text: async () => 'Row not found'
+      });
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName, { attachMode: 'append' });
+
+      expect(result).toEqual({
+        success: true,
+        uploaded_file: mockUploadData,
+        row_update_error: 'Failed to read row: 404 Not Found'
+      });
+    });
+  });
+
+  describe('Image upload into a new row', () => {
+    const mockUploadData = {
+      name: mockFileName,
+      original_name: 'image.jpg',
+      url: 'https://api.baserow.io/media/user_files/test.jpg'
+    };
+    const mockFieldsData = [
+      { id: mockFieldId, name: mockFieldName, type: 'file' },
+      { id: 790, name: 'Title', type: 'text', primary: true }
+    ];
+
+    test('should create a row holding the file and the extra field values', async () => {
+      const mockCreatedRow = { id: 57, [`field_${mockFieldId}`]: [mockUploadData], field_790: 'Invoice 42' };
+
+      // Mock field resolution, shared by the file field and the extra value
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      // Mock upload response
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockUploadData });
+      // Mock row creation response
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockCreatedRow });
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, undefined, mockFieldName, {
+        createRow: true,
+        rowValues: { Title: 'Invoice 42' }
+      });
+
+      expect(fetch).toHaveBeenNthCalledWith(3,
+        `https://api.baserow.io/api/database/rows/table/${mockTableId}/`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: 'Token test_token_123',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ field_790: 'Invoice 42', [`field_${mockFieldId}`]: [{ name: mockFileName, visible_name: 'image.jpg' }] }),
+          signal: expect.any(AbortSignal)
+        }
+      );
+      expect(result).toEqual({
+        success: true,
+        uploaded_file: mockUploadData,
+        created_row: mockCreatedRow
+      });
+    });
+
+    test('should refuse unknown extra fields before uploading', async () => {
+      // The field list is read again before giving up on the unknown field
+      fetch.mockResolvedValue({ ok: true, json: async () => mockFieldsData });
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, undefined, mockFieldName, {
+        createRow: true,
+        rowValues: { Missing: 'value' }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.validation_error).toEqual({
+        code: 'field_not_found',
+        field: 'Missing',
+        message: `Failed to resolve field "Missing" in table ${mockTableId}`
+      });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Image upload to a row found by value', () => {
+    const mockUploadData = {
+      name: mockFileName,
+      original_name: 'image.jpg',
+      url: 'https://api.baserow.io/media/user_files/test.jpg'
+    };
+    const mockFieldsData = [
+      { id: 790, name: 'Name', type: 'text', primary: true },
+      { id: mockFieldId, name: mockFieldName, type: 'file' }
+    ];
+
+    const mockRowLookup = (results) => {
+      // Mock fields response used to find the primary field
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      // Mock filtered list rows response
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ count: results.length, results }) });
+    };
+
+    test('should update the row whose primary field matches', async () => {
+      mockRowLookup([{ id: 42 }]);
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockUploadData });
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 42 }) });
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, undefined, mockFieldName, {
+        rowMatch: { value: 'Blue Mug' }
+      });
+
+      expect(fetch).toHaveBeenNthCalledWith(2,
+        `https://api.baserow.io/api/database/rows/table/${mockTableId}/?filter__field_790__equal=Blue+Mug&size=2`,
+        expect.objectContaining({ method: 'GET' })
+      );
+      expect(fetch).toHaveBeenNthCalledWith(4,
+        `https://api.baserow.io/api/database/rows/table/${mockTableId}/42/`,
+        expect.objectContaining({ method: 'PATCH' })
+      );
+      expect(result.updated_row).toEqual({ id: 42 });
+    });
+
+    test('should fail before uploading when no row matches', async () => {
+      mockRowLookup([]);
+
+      await expect(uploadImageUrl(mockUrl, undefined, mockTableId, undefined, mockFieldName, {
+        rowMatch: { value: 'Blue Mug' }
+      })).rejects.toThrow(`Upload failed: No row in table ${mockTableId} has Name = "Blue Mug"`);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fail before uploading when several rows match', async () => {
+      mockRowLookup([{ id: 42 }, { id: 43 }]);
+
+      await expect(uploadImageUrl(mockUrl, undefined, mockTableId, undefined, mockFieldName, {
+        rowMatch: { field: 'Name', value: 'Blue Mug' }
+      })).rejects.toThrow('2 rows in table 123 have Name = "Blue Mug", expected exactly one');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should create the row when missing and createIfMissing is set', async () => {
+      mockRowLookup([]);
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockUploadData });
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 58 }) });
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, undefined, mockFieldName, {
+        rowMatch: { value: 'Blue Mug', createIfMissing: true }
+      });
+
+      expect(fetch).toHaveBeenNthCalledWith(4,
+        `https://api.baserow.io/api/database/rows/table/${mockTableId}/`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ field_790: 'Blue Mug', [`field_${mockFieldId}`]: [{ name: mockFileName, visible_name: 'image.jpg' }] })
+        })
+      );
+      expect(result.created_row).toEqual({ id: 58 });
+    });
+  });
+
+  describe('Field metadata cache', () => {
+    const mockUploadData = {
+      name: mockFileName,
+      url: 'https://api.baserow.io/media/user_files/test.jpg'
+    };
+    const mockFieldsData = [
+      { id: mockFieldId, name: mockFieldName, type: 'file' }
+    ];
+
+    afterEach(() => {
+      delete process.env.BASEROW_METADATA_CACHE_TTL;
+    });
+
+    const mockUploadAndUpdate = () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockUploadData });
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: parseInt(mockRowId) }) });
+    };
+
+    const fieldListCalls = () => fetch.mock.calls.filter(([endpoint]) => endpoint.includes('/api/database/fields/table/'));
+
+    test('should reuse the field list for repeated uploads to the same table', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      mockUploadAndUpdate();
+      mockUploadAndUpdate();
+
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+
+      expect(fieldListCalls()).toHaveLength(1);
+    });
+
+    test('should refetch the field list after the table is invalidated', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      mockUploadAndUpdate();
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      mockUploadAndUpdate();
+
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+      invalidateMetadataCache(mockTableId);
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+
+      expect(fieldListCalls()).toHaveLength(2);
+    });
+
+    test('should refetch the field list once when a field is missing from the cached one', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      mockUploadAndUpdate();
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => [...mockFieldsData, { id: 789, name: 'Gallery', type: 'file' }] });
+      mockUploadAndUpdate();
+
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, 'Gallery');
+
+      expect(result.success).toBe(true);
+      expect(fieldListCalls()).toHaveLength(2);
+      expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining(`/api/database/rows/table/${mockTableId}/${mockRowId}/`), expect.objectContaining({
+        body: JSON.stringify({ field_789: [{ name: mockFileName, visible_name: mockFileName }] })
+      }));
+    });
+
+    test('should not cache when BASEROW_METADATA_CACHE_TTL is 0', async () => {
+      process.env.BASEROW_METADATA_CACHE_TTL = '0';
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      mockUploadAndUpdate();
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => mockFieldsData });
+      mockUploadAndUpdate();
+
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+      await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+
+      expect(fieldListCalls()).toHaveLength(2);
+    });
+
+    test('should keep loading a shared field list when one of the callers is cancelled', async () => {
+      let releaseFields;
+      fetch.mockImplementation((endpoint, options) => {
+        if (endpoint.includes('/api/database/fields/table/')) {
+          // Behave like fetch: fail as soon as the request's own signal aborts
+          return new Promise((resolve, reject) => {
+            releaseFields = () => resolve({ ok: true, json: async () => mockFieldsData });
+            options.signal?.addEventListener('abort', () => reject(options.signal.reason));
+          });
+        }
+        if (endpoint.includes('/api/user-files/upload-via-url/')) {
+          return Promise.resolve({ ok: true, json: async () => mockUploadData });
+        }
+        return Promise.resolve({ ok: true, json: async () => ({ id: parseInt(mockRowId) }) });
+      });
+      const controller = new AbortController();
+
+      const cancelled = uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName, { signal: controller.signal });
+      const other = uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+      while (fieldListCalls().length === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      controller.abort(new Error('Cancelled by the client'));
+      await expect(cancelled).rejects.toThrow('Cancelled by the client');
+      releaseFields();
+
+      expect(await other).toMatchObject({ success: true, updated_row: { id: parseInt(mockRowId) } });
+      expect(fieldListCalls()).toHaveLength(1);
+    });
+  });
+
+  describe('Target field validation', () => {
+    const validate = async (fieldData, url = mockUrl, filename) => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ id: mockFieldId, name: mockFieldName, ...fieldData }]
+      });
+      return uploadImageUrl(url, filename, mockTableId, mockRowId, mockFieldName);
+    };
+
+    test('should refuse non-file fields without uploading', async () => {
+      const result = await validate({ type: 'text' });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(result.validation_error).toEqual({
+        code: 'field_not_file',
+        field: mockFieldName,
+        message: `Field "${mockFieldName}" is a text field, not a file field`
+      });
+    });
+
+    test('should refuse unknown fields without uploading', async () => {
+      fetch.mockResolvedValue({ ok: true, json: async () => [{ id: mockFieldId, name: 'Other', type: 'file' }] });
+      const result = await validate({ name: 'Other', type: 'file' });
+
+      expect(fetch.mock.calls.map(([endpoint]) => endpoint)).toEqual([
+        `https://api.baserow.io/api/database/fields/table/${mockTableId}/`,
+        `https://api.baserow.io/api/database/fields/table/${mockTableId}/`
+      ]);
+      expect(result.validation_error.code).toBe('field_not_found');
+    });
+
+    test('should refuse files that do not match the allowed file types', async () => {
+      const result = await validate({ type: 'file', file_types: ['image/*'] }, 'https://example.com/report.pdf');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(result.validation_error).toEqual({
+        code: 'file_type_not_allowed',
+        field: mockFieldName,
+        message: `Field "${mockFieldName}" only accepts image/*, but "report.pdf" is application/pdf`
+      });
+    });
+
+    test('should check the custom filename rather than the URL', async () => {
+      const result = await validate({ type: 'file', file_types: '.pdf, .docx' }, mockUrl, 'invoice.png');
+
+      expect(result.validation_error.code).toBe('file_type_not_allowed');
+    });
+
+    test('should accept files matching the allowed file types', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ id: mockFieldId, name: mockFieldName, type: 'file', file_types: ['image/*', '.pdf'] }]
+      });
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ name: mockFileName }) });
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: parseInt(mockRowId) }) });
+
+      const result = await uploadImageUrl(mockUrl, undefined, mockTableId, mockRowId, mockFieldName);
+
+      expect(result.success).toBe(true);
+      expect(result.updated_row).toEqual({ id: parseInt(mockRowId) });
+    });
+  });
+
   describe('Error handling', () => {
     test('should handle network errors', async () => {
       fetch.mockRejectedValueOnce(new Error('Network error'));
@@ -0,0 +1,195 @@
+/**
+ * Tests for the URL policy (SSRF protection) and local fetch mode of uploadImageUrl
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { uploadImageUrl } from '../mcp_baserow_image.js';
+
+// Mock fetch globally, keeping the real one for the connection tests
+const realFetch = global.fetch;
+global.fetch = jest.fn();
+
+describe('URL policy', () => {
+  // Public address literals, so the tests don't depend on DNS
+  const publicUrl = 'http://93.184.216.34/photo.png';
+
+  beforeEach(() => {
+    // Set required environment variables
+    process.env.BASEROW_API_URL = 'https://api.baserow.io';
+    process.env.BASEROW_API_TOKEN = 'test_token_123';
+
+    fetch.mockReset();
+    fetch.mockResolvedValue({ ok: true, json: async () => ({ name: 'hash_photo.png' }) });
+  });
+
+  afterEach(() => {
+    // Clean up environment variables
+    delete process.env.BASEROW_API_URL;
+    delete process.env.BASEROW_API_TOKEN;
+    delete process.env.BASEROW_URL_ALLOWED_SCHEMES;
+    delete process.env.BASEROW_URL_ALLOWED_HOSTS;
+    delete process.env.BASEROW_URL_DENIED_HOSTS;
+    delete process.env.BASEROW_URL_ALLOW_PRIVATE;
+    delete process.env.BASEROW_URL_FETCH_MODE;
+    delete process.env.BASEROW_URL_MAX_BYTES;
+    delete process.env.BASEROW_URL_ALLOWED_CONTENT_TYPES;
+  });
+
+  const refusal = async (url) => (await uploadImageUrl(url)).validation_error;
+
+  describe('pre-flight checks', () => {
+    it('should pass public URLs on to Baserow', async () => {
+      const result = await uploadImageUrl(publicUrl);
+
+      expect(result.success).toBe(true);
+      expect(fetch).toHaveBeenCalledWith('https://api.baserow.io/api/user-files/upload-via-url/', expect.anything());
+    });
+
+    it('should refuse private, loopback and link-local addresses', async () => {
+      expect(await refusal('http://169.254.169.254/latest/meta-data/')).toEqual({
+        code: 'url_not_allowed',
+        url: 'http://169.254.169.254/latest/meta-data/',
+        message: 'Host 169.254.169.254 is a private, loopback or link-local address; set BASEROW_URL_ALLOW_PRIVATE=true to allow internal addresses'
+      });
+      for (const url of ['http://10.0.0.5/a.png', 'http://192.168.1.1/a.png', 'http://2130706433/a.png', 'http://[::1]/a.png', 'http://[::ffff:172.16.0.1]/a.png', 'http://[fe80::1]/a.png', 'http://[64:ff9b::7f00:1]/a.png', 'http://[2002:7f00:1::]/a.png', 'http://[::127.0.0.1]/a.png', 'http://[fec0::1]/a.png']) {
+        expect((await refusal(url))?.code).toBe('url_not_allowed');
+      }
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should check the addresses a host name resolves to', async () => {
+      expect((await refusal('http://localhost:8000/a.png')).message).toBe(
+        'Host localhost resolves to 127.0.0.1, which is a private, loopback or link-local address; set BASEROW_URL_ALLOW_PRIVATE=true to allow internal addresses'
+      );
+      expect((await refusal('https://images.invalid/a.png')).message).toMatch(/^Host images\.invalid could not be resolved/);
+    });
+
+    it('should allow internal addresses when configured', async () => {
+      process.env.BASEROW_URL_ALLOW_PRIVATE = 'true';
+
+      const result = await uploadImageUrl('http://10.0.0.5/a.png');
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should only allow the configured schemes', async () => {
+      expect((await refusal('ftp://93.184.216.34/a.png')).message).toBe('URL scheme "ftp" is not allowed (allowed: https, http)');
+
+      process.env.BASEROW_URL_ALLOWED_SCHEMES = 'https';
+      expect((await refusal(publicUrl)).message).toBe('URL scheme "http" is not allowed (allowed: https)');
+    });
+
+    it('should apply the allowed and denied host lists', async () => {
+      process.env.BASEROW_URL_DENIED_HOSTS = '*.internal.example.com';
+      expect((await refusal('https://wiki.internal.example.com/a.png')).message).toBe(
+        'Host wiki.internal.example.com is on the denied hosts list (BASEROW_URL_DENIED_HOSTS)'
+      );
+
+      process.env.BASEROW_URL_ALLOWED_HOSTS = 'cdn.example.com, 93.184.216.*';
+      expect((await refusal('https://example.org/a.png')).message).toBe(
+        'Host example.org is not on the allowed hosts list (BASEROW_URL_ALLOWED_HOSTS)'
+      );
+      expect((await uploadImageUrl(publicUrl)).success).toBe(true);
+    });
+  });
+
+  describe('local fetch mode', () => {
+    const download = (body, headers = {}) => ({
+      ok: true,
+      status: 200,
+      headers: new Headers(headers),
+      body
+    });
+
+    beforeEach(() => {
+      process.env.BASEROW_URL_FETCH_MODE = 'local';
+    });
+
+    it('should download the URL and upload its content', async () => {
+      let sentBody;
+      fetch
+        .mockResolvedValueOnce(download([Buffer.from('png-'), Buffer.from('data')], { 'content-type': 'image/png; charset=binary' }))
+        .mockImplementationOnce(async (endpoint, options) => {
+          const chunks = [];
+          for await (const chunk of options.body) {
+            chunks.push(chunk);
+          }
+          sentBody = Buffer.concat(chunks).toString('latin1');
+          return { ok: true, json: async () => ({ name: 'hash_photo.png' }) };
+        });
+
+      const result = await uploadImageUrl(publicUrl);
+
+      expect(fetch).toHaveBeenNthCalledWith(1, publicUrl, expect.objectContaining({ method: 'GET', redirect: 'manual' }));
+      expect(fetch.mock.calls[1][0]).toBe('https://api.baserow.io/api/user-files/upload-file/');
+      expect(sentBody).toContain('filename="photo.png"\r\nContent-Type: image/png\r\n\r\npng-data\r\n');
+      expect(result).toEqual({ success: true, uploaded_file: { name: 'hash_photo.png' } });
+    });
+
+    it('should follow redirects only to allowed URLs', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 302, headers: new Headers({ location: 'http://10.0.0.5/secret.png' }) });
+
+      const result = await uploadImageUrl(publicUrl);
+
+      expect(result.validation_error).toEqual({
+        code: 'url_not_allowed',
+        url: 'http://10.0.0.5/secret.png',
+        message: 'Redirected to a refused URL: Host 10.0.0.5 is a private, loopback or link-local address; set BASEROW_URL_ALLOW_PRIVATE=true to allow internal addresses'
+      });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only connect to public addresses, even when the host resolves differently than when it was checked', async () => {
+      // The host passes the check with a public address, then resolves to a loopback address when connecting
+      fetch.mockImplementationOnce((endpoint, options) => realFetch('http://localhost:8000/photo.png', options));
+
+      const result = await uploadImageUrl(publicUrl);
+
+      expect(result.validation_error).toEqual({
+        code: 'url_not_allowed',
+        url: publicUrl,
+        message: expect.stringMatching(/^Host localhost resolves to (127\.0\.0\.1|::1), which is a private, loopback or link-local address; set BASEROW_URL_ALLOW_PRIVATE=true/)
+      });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse downloads above the size limit', async () => {
+      process.env.BASEROW_URL_MAX_BYTES = '6';
+      fetch
+        .mockResolvedValueOnce(download([Buffer.from('0123456789')], { 'content-length': '10' }))
+        .mockResolvedValueOnce(download([Buffer.from('0123'), Buffer.from('4567')]));
+
+      const declared = await uploadImageUrl(publicUrl);
+      const streamed = await uploadImageUrl(publicUrl);
+
+      expect(declared.validation_error).toEqual({
+        code: 'file_too_large',
+        url: publicUrl,
+        message: `${publicUrl} is 10 bytes, which exceeds the download limit of 6 bytes`
+      });
+      expect(streamed.validation_error.message).toBe(`${publicUrl} is larger than the download limit of 6 bytes`);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse content types that are not allowed', async () => {
+      process.env.BASEROW_URL_ALLOWED_CONTENT_TYPES = 'image/*,application/pdf';
+      fetch.mockResolvedValueOnce(download([Buffer.from('<html>')], { 'content-type': 'text/html' }));
+
+      const result = await uploadImageUrl(publicUrl);
+
+      expect(result.validation_error).toEqual({
+        code: 'content_type_not_allowed',
+        url: publicUrl,
+        message: `${publicUrl} is text/html, but only image/*, application/pdf may be downloaded (BASEROW_URL_ALLOWED_CONTENT_TYPES)`
+      });
+    });
+
+    it('should let the fetchMode option override the default', async () => {
+      delete process.env.BASEROW_URL_FETCH_MODE;
+      fetch.mockResolvedValueOnce(download([Buffer.from('png')], { 'content-type': 'image/png' }));
+
+      await uploadImageUrl(publicUrl, 'cover.png', undefined, undefined, undefined, { fetchMode: 'local' });
+
+      expect(fetch.mock.calls.map(([endpoint]) => endpoint)).toEqual([publicUrl, 'https://api.baserow.io/api/user-files/upload-file/']);
+    });
+  });
+});